@@ -0,0 +1,123 @@
+// scripts/importLaws.js
+// 負責：把全國法規資料庫的開放資料（本機檔案）匯入 src/data 的條文檔，補上條文原文。
+// 用法（在專案根目錄執行）：
+//   npm run import-laws -- <ChLaw.json|ChLaw.xml> [--law=lsa,gea] [--add-missing] [--dry-run]
+//   • --law：只匯入指定的法規（laws.json 的 id），預設匯入清單上全部
+//   • --add-missing：摘要檔沒有的條文也加進去（只有原文，之後再補摘要）
+//   • --dry-run：只顯示會改什麼，不寫檔
+// 匯入後的檔案格式跟 prettier 不完全一樣，可再跑一次 prettier 統一格式。
+
+import fs from "fs";
+import path from "path";
+import { parseOfficialDump, mergeOfficialArticles } from "../src/lawImport.js";
+import { validateArticlesData, assertValid } from "../src/validate.js";
+import { formatDate, today } from "../src/dates.js";
+
+const dataDir = path.resolve("./src/data");
+
+function parseCliArgs(argv) {
+  const opts = { file: null, laws: null, addMissing: false, dryRun: false };
+  for (const arg of argv) {
+    if (arg.startsWith("--law=")) {
+      opts.laws = arg.slice("--law=".length).split(",").filter(Boolean);
+    } else if (arg === "--add-missing") {
+      opts.addMissing = true;
+    } else if (arg === "--dry-run") {
+      opts.dryRun = true;
+    } else if (!arg.startsWith("--")) {
+      opts.file = arg;
+    }
+  }
+  return opts;
+}
+
+// 1.1.0 → 1.1.1（內容有變才加）
+function bumpPatch(version) {
+  const m = String(version || "").match(/^(\d+)\.(\d+)\.(\d+)$/);
+  return m ? `${m[1]}.${m[2]}.${Number(m[3]) + 1}` : version || "1.0.0";
+}
+
+function main() {
+  const opts = parseCliArgs(process.argv.slice(2));
+  if (!opts.file) {
+    console.error(
+      "[ERROR] 請指定匯出檔：node scripts/importLaws.js <ChLaw.json|ChLaw.xml>"
+    );
+    process.exit(1);
+  }
+
+  const dump = parseOfficialDump(fs.readFileSync(opts.file, "utf8"));
+  console.log(`[INFO] 匯出檔共有 ${dump.length} 部法規`);
+
+  const registry = JSON.parse(
+    fs.readFileSync(path.join(dataDir, "laws.json"), "utf8")
+  );
+  const targets = registry.laws.filter(
+    (law) => !opts.laws || opts.laws.includes(law.id)
+  );
+  if (targets.length === 0) {
+    console.error(`[ERROR] laws.json 裡沒有 ${opts.laws.join("、")}`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const law of targets) {
+    // 先用 pcode 對，匯出檔沒有網址時再用名稱對
+    const official =
+      dump.find((d) => d.pcode === law.pcode) ||
+      dump.find((d) => d.name === law.name);
+    if (!official) {
+      console.warn(`[WARN] 匯出檔裡找不到${law.name}（${law.pcode}），略過`);
+      continue;
+    }
+
+    const filePath = path.join(dataDir, law.file);
+    const current = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const { articles, stats } = mergeOfficialArticles(
+      current.articles,
+      official,
+      { lawName: law.name, addMissing: opts.addMissing }
+    );
+
+    const changed = stats.updated + stats.added > 0;
+    const meta = { ...current.meta };
+    if (changed) {
+      meta.version = bumpPatch(meta.version);
+      meta.updated = formatDate(today()).replace(/\//g, "-");
+    }
+    meta.officialText = {
+      source: "全國法規資料庫",
+      modified: official.modified,
+      articles: official.articles.length,
+    };
+    const next = { meta, articles };
+
+    try {
+      assertValid(law.file, validateArticlesData(next, { law }));
+    } catch (e) {
+      failed += 1;
+      continue;
+    }
+
+    const { updated, added, unchanged } = stats;
+    const modified = official.modified || "未標示";
+    console.log(
+      `[INFO] ${law.name}：更新 ${updated} 條、新增 ${added} 條、未變動 ${unchanged} 條（官方最新異動 ${modified}）`
+    );
+    if (stats.notFound.length) {
+      const missing = stats.notFound.join("、");
+      console.warn(
+        `[WARN] ${law.name}：官方資料沒有第 ${missing} 條（可能已刪除或條號有誤）`
+      );
+    }
+    if (changed && !opts.dryRun) {
+      fs.writeFileSync(filePath, `${JSON.stringify(next, null, 2)}\n`);
+      console.log(`[INFO] 已寫入 ${path.relative(process.cwd(), filePath)}`);
+    }
+  }
+
+  if (opts.dryRun) console.log("[INFO] --dry-run：沒有寫入任何檔案");
+  if (failed) process.exit(1);
+}
+
+main();
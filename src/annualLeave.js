@@ -0,0 +1,259 @@
+// src/annualLeave.js
+// 負責：特別休假（特休）試算，依勞基法第38條年資級距，支援週年制與曆年制，
+//       並試算離職時未休特休應折發的工資。
+
+import {
+  addDays,
+  addMonths,
+  addYears,
+  daysBetween,
+  formatDate,
+  formatServiceLength,
+  parseDate,
+  serviceLength,
+  today,
+} from "./dates.js";
+
+// 第38條：滿 y 年後（到下一個週年前）的特休天數
+// 6 個月以上 1 年未滿 3 日；1 年 7 日；2 年 10 日；3~4 年 14 日；5~9 年 15 日；
+// 10 年以上每年加 1 日，加至 30 日為止
+export function annualLeaveDaysForYears(years) {
+  if (years < 1) return 3;
+  if (years < 2) return 7;
+  if (years < 3) return 10;
+  if (years < 5) return 14;
+  if (years < 10) return 15;
+  return Math.min(30, 15 + (years - 9));
+}
+
+// 各特休期間：[{ start, end, days }]，end 為下一期開始日（不含，顯示時要往前一天）
+function leavePeriods(hireDate, until) {
+  const periods = [
+    { start: addMonths(hireDate, 6), end: addYears(hireDate, 1), days: 3 },
+  ];
+  for (let y = 1; addYears(hireDate, y) <= until; y++) {
+    periods.push({
+      start: addYears(hireDate, y),
+      end: addYears(hireDate, y + 1),
+      days: annualLeaveDaysForYears(y),
+    });
+  }
+  return periods.filter((p) => p.start <= until);
+}
+
+// 週年制：基準日所在期間的特休（尚未滿 6 個月回傳 null）
+export function anniversaryEntitlement(hireDate, asOf) {
+  const periods = leavePeriods(hireDate, asOf);
+  return periods.find((p) => p.start <= asOf && asOf < p.end) || null;
+}
+
+// 曆年制：某一曆年可休天數 = 各期間特休 × 該期間落在這一年的天數比例
+// cutoff（選填）：離職日，之後的天數不計
+export function calendarYearEntitlement(hireDate, year, cutoff = null) {
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  let yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+  if (cutoff && cutoff < yearEnd) yearEnd = cutoff;
+
+  const parts = [];
+  for (const p of leavePeriods(hireDate, yearEnd)) {
+    const from = p.start > yearStart ? p.start : yearStart;
+    const to = p.end < yearEnd ? p.end : yearEnd;
+    const overlap = daysBetween(from, to);
+    if (overlap <= 0) continue;
+    const length = daysBetween(p.start, p.end);
+    parts.push({ ...p, overlap, length, share: (p.days * overlap) / length });
+  }
+  const days = parts.reduce((acc, x) => acc + x.share, 0);
+  return { year, days, parts };
+}
+
+// 參數別名 → 內部欄位
+function mapKey(k) {
+  const kk = k.toLowerCase();
+  if (/(到職|報到|hire)/.test(kk)) return "hireDate";
+  if (/(離職|終止|leave|end)/.test(kk)) return "endDate";
+  if (/(基準|查詢日|asof)/.test(kk)) return "asOf";
+  if (/(制度|mode)/.test(kk)) return "mode";
+  if (/(已休|used)/.test(kk)) return "used";
+  if (/(月薪|monthly)/.test(kk)) return "monthly";
+  if (/(日薪|daily)/.test(kk)) return "daily";
+  if (/(時薪|hourly)/.test(kk)) return "hourly";
+  return kk;
+}
+
+// 參數解析：試算特休 到職日=2021/03/15 [制度=曆年] [離職日=2026/10/31 已休=3 月薪=36000]
+export function parseAnnualLeaveArgs(text) {
+  const tokens = text
+    .replace(/^試算特休/, "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const params = {
+    hireDate: null,
+    endDate: null,
+    asOf: null,
+    mode: "both",
+    used: 0,
+    monthly: NaN,
+    daily: NaN,
+    hourly: NaN,
+  };
+
+  tokens.forEach((t) => {
+    const [rawK, rawV] = t.split("=");
+    if (!rawK || typeof rawV === "undefined") return;
+    const key = mapKey(rawK.trim());
+
+    if (["hireDate", "endDate", "asOf"].includes(key)) {
+      params[key] = parseDate(rawV);
+    } else if (key === "mode") {
+      if (/曆年|calendar/i.test(rawV)) params.mode = "calendar";
+      else if (/週年|周年|anniversary/i.test(rawV)) params.mode = "anniversary";
+    } else if (["used", "monthly", "daily", "hourly"].includes(key)) {
+      const val = parseFloat(String(rawV).replace(/[^\d.]/g, ""));
+      if (!Number.isNaN(val)) params[key] = val;
+    }
+  });
+
+  return params;
+}
+
+// 日薪：日薪 > 月薪 ÷ 30 > 時薪 × 8
+function resolveDailyWage(p) {
+  if (p.daily > 0) return { daily: p.daily, basis: `日薪 $${p.daily}` };
+  if (p.monthly > 0) {
+    return {
+      daily: p.monthly / 30,
+      basis: `月薪 $${p.monthly.toLocaleString()} ÷ 30`,
+    };
+  }
+  if (p.hourly > 0) {
+    return { daily: p.hourly * 8, basis: `時薪 $${p.hourly} × 8` };
+  }
+  return null;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const money = (n) => `$${Math.round(n).toLocaleString()}`;
+
+// 計算 + 排版：{ ok, message }
+export function computeAnnualLeave(p) {
+  if (!p.hireDate) {
+    return {
+      ok: false,
+      message: "請提供到職日（例如：到職日=2021/03/15）",
+    };
+  }
+
+  const asOf = p.endDate || p.asOf || today();
+  if (asOf < p.hireDate) {
+    return { ok: false, message: "基準日／離職日不能早於到職日喔" };
+  }
+
+  const service = serviceLength(p.hireDate, asOf);
+  const lines = [];
+  lines.push("🏖️ 小勞雞特休試算（僅供參考）");
+  lines.push("────────────────────");
+  lines.push(`📅 到職日：${formatDate(p.hireDate)}`);
+  const asOfLabel = p.endDate ? "🚪 離職日" : "📌 基準日";
+  const serviceText = formatServiceLength(service);
+  lines.push(`${asOfLabel}：${formatDate(asOf)}（年資 ${serviceText}）`);
+
+  const current = anniversaryEntitlement(p.hireDate, asOf);
+  const calendar = calendarYearEntitlement(
+    p.hireDate,
+    asOf.getUTCFullYear(),
+    p.endDate ? addDays(p.endDate, 1) : null // 離職日當天仍在職
+  );
+
+  if (p.mode !== "calendar") {
+    lines.push("");
+    lines.push("🗓️ 週年制（依到職週年給假）");
+    if (current) {
+      const from = formatDate(current.start);
+      const to = formatDate(addDays(current.end, -1));
+      lines.push(`• 本期 ${from}～${to}：${current.days} 天`);
+      if (!p.endDate) {
+        const nextYears = serviceLength(p.hireDate, current.end).years;
+        const nextDays = annualLeaveDaysForYears(nextYears);
+        lines.push(`• 下一期 ${formatDate(current.end)} 起：${nextDays} 天`);
+      }
+    } else {
+      const first = formatDate(addMonths(p.hireDate, 6));
+      lines.push(`• 年資未滿 6 個月，${first} 起才有 3 天特休`);
+    }
+  }
+
+  if (p.mode !== "anniversary") {
+    lines.push("");
+    lines.push(`📆 曆年制（${calendar.year} 年，依比例計算）`);
+    if (calendar.parts.length === 0) {
+      lines.push("• 這一年還沒有特休（年資未滿 6 個月）");
+    } else {
+      for (const part of calendar.parts) {
+        const ratio = `${part.overlap}/${part.length}`;
+        lines.push(`• ${part.days} 天 × ${ratio} = ${round2(part.share)} 天`);
+      }
+      lines.push(`• 合計：${round2(calendar.days)} 天`);
+    }
+  }
+
+  // 離職：未休特休折發工資（第38條第4項）
+  if (p.endDate) {
+    const anniversaryDays = current ? current.days : 0;
+    let entitled = anniversaryDays;
+    let basisText = "週年制本期天數";
+    if (p.mode === "calendar") {
+      // 曆年制離職時，若少於週年制應補足
+      entitled = Math.max(calendar.days, anniversaryDays);
+      basisText =
+        calendar.days >= anniversaryDays
+          ? "曆年制當年天數"
+          : "週年制本期天數；曆年制較少，依規定補足";
+    }
+    const unused = Math.max(0, entitled - (p.used || 0));
+
+    lines.push("");
+    lines.push("💰 離職未休特休折算（第38條第4項）");
+    lines.push(`• 應給特休：${round2(entitled)} 天（${basisText}）`);
+    lines.push(`• 已休：${p.used || 0} 天 → 未休 ${round2(unused)} 天`);
+
+    const wage = resolveDailyWage(p);
+    if (wage) {
+      lines.push(`• 日薪：${money(wage.daily)}（${wage.basis}）`);
+      lines.push(`• 應折發：${money(unused * wage.daily)}`);
+    } else {
+      lines.push("• 加上「月薪=」或「日薪=」就能幫你算折發金額");
+    }
+  }
+
+  lines.push("");
+  lines.push(
+    "⚠️ 小提醒：此為簡化試算，特休可依勞雇約定以小時計；實際仍以《勞基法》第38條及主管機關解釋為準。"
+  );
+
+  return { ok: true, message: lines.join("\n") };
+}
+
+export function buildAnnualLeaveHelpText() {
+  return [
+    "🏖️ 特休試算器",
+    "────────────────────",
+    "請用下列格式輸入（空白分隔）：",
+    "試算特休 到職日=2021/03/15",
+    "",
+    "可選參數：",
+    "• 制度=週年 / 曆年（不填兩種都列）",
+    "• 基準日=2026/12/31（預設今天）",
+    "• 離職日=2026/10/31 已休=3 月薪=36000（試算未休折發）",
+    "",
+    "第38條特休天數：",
+    "• 滿 6 個月：3 天",
+    "• 滿 1 年：7 天｜滿 2 年：10 天",
+    "• 滿 3 年：14 天｜滿 5 年：15 天",
+    "• 滿 10 年起每年加 1 天，最多 30 天",
+    "",
+    "⚠️ 日期也可以用民國年，例如 到職日=110/3/15。",
+  ].join("\n");
+}
@@ -0,0 +1,317 @@
+// src/answerCache.js
+// 負責：AI 回答快取。問題正規化（全半形、標點、常見同義說法）後當 key，
+//       相同或幾乎相同的問題直接用上次的回答，不再呼叫 AI。
+// 有 TTL 與筆數上限（超過時淘汰最久沒用到的）；條文或 FAQ 資料一變動，舊回答全部失效。
+// 後端：memory（預設，重啟即清空）/ file（存成 JSON 檔，重啟後沿用）/ off（停用）
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getLaws, parseNumeral } from "./articles.js";
+import { getFaqs } from "./faqs.js";
+import { tokenize } from "./search.js";
+
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MAX_ENTRIES = 500;
+// 相似度（bigram Jaccard）達到這個值才算同一題
+const DEFAULT_SIMILARITY = 0.8;
+// 正規化後太短的問題只比對完全相同，避免「特休」「資遣」這類短句互相誤判
+const MIN_FUZZY_CHARS = 5;
+const DEFAULT_FILE = ".cache/answer-cache.json";
+// file 後端：變動後延遲寫檔，合併短時間內的多次變動
+const SAVE_DELAY_MS = 1000;
+
+// 問法不同、意思相同的說法（由長到短依序替換）
+const SYNONYMS = [
+  [/(?:如何|怎麼|怎樣|要怎麼|該怎麼)計算/g, "怎麼算"],
+  [/要怎麼|該怎麼|如何|怎樣|怎么/g, "怎麼"],
+  [/是多少|有多少/g, "多少"],
+  [/勞基法/g, "勞動基準法"],
+  [/老闆|資方/g, "雇主"],
+];
+// 客套話與句尾語氣詞，不影響問題本身
+const FILLERS = /請問|想問一下|想問|請教|不好意思|謝謝|感謝|的/g;
+const TRAILING_PARTICLES = /(?:呢|嗎|啊|呀|喔|哦|吧|耶)+$/;
+// 後面接單位的中文數字（三年、兩週、二十四條…）；「一般」「一定」這類詞不動
+const CN_NUMERAL_RE =
+  /[零〇一二兩三四五六七八九十百]+(?=[年月週周天日號時個次條項款歲萬千元塊倍成%])/g;
+
+// 中文數字轉阿拉伯數字（「滿三年」→「滿3年」），數字比對才不會漏掉
+function toArabicNumerals(s) {
+  return s.replace(CN_NUMERAL_RE, (m) => {
+    const n = parseNumeral(m);
+    return Number.isNaN(n) ? m : String(n);
+  });
+}
+
+// 「加班費如何計算？」「請問 加班費怎麼算呢」→「加班費怎麼算」
+export function normalizeQuestion(text) {
+  let s = String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, "");
+  for (const [re, to] of SYNONYMS) s = s.replace(re, to);
+  s = s.replace(FILLERS, "").replace(TRAILING_PARTICLES, "");
+  return toArabicNumerals(s);
+}
+
+function bigrams(key) {
+  return new Set(tokenize(key));
+}
+
+function similarity(a, b) {
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter += 1;
+  const union = a.size + b.size - inter;
+  return union ? inter / union : 0;
+}
+
+// 數字不同（月薪 3 萬 / 4 萬、第 24 條 / 第 32 條、滿三年 / 滿五年）就不是同一題
+// key 已經過 normalizeQuestion；沒接單位的中文數字（三班制 / 兩班制）也一起比
+function numbersOf(key) {
+  return (key.match(/\d+|[零〇一二兩三四五六七八九十百]+/g) || []).join(",");
+}
+
+// 條文與 FAQ 內容的指紋；資料重新載入（陣列換了）才重算
+let fingerprintCache = { laws: null, faqs: null, value: "" };
+function knowledgeFingerprint() {
+  const laws = getLaws();
+  const faqs = getFaqs();
+  if (fingerprintCache.laws === laws && fingerprintCache.faqs === faqs) {
+    return fingerprintCache.value;
+  }
+  const value = crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify({
+        laws: laws.map((law) => [law.id, law.articles]),
+        faqs,
+      })
+    )
+    .digest("hex")
+    .slice(0, 16);
+  fingerprintCache = { laws, faqs, value };
+  return value;
+}
+
+function memoryBackend() {
+  return { name: "memory", load: () => [], save: () => {} };
+}
+
+// 整份快取存成一個 JSON 檔（先寫暫存檔再改名，避免寫到一半被讀到）
+function fileBackend(filePath) {
+  const file = path.resolve(filePath);
+  let timer = null;
+  return {
+    name: "file",
+    file,
+    load() {
+      if (!fs.existsSync(file)) return [];
+      try {
+        const data = JSON.parse(fs.readFileSync(file, "utf8"));
+        return Array.isArray(data.entries) ? data.entries : [];
+      } catch (err) {
+        console.warn(`[WARN] AI 回答快取檔讀取失敗，改用空的快取：${file}`);
+        return [];
+      }
+    },
+    save(getEntries) {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          const tmp = `${file}.tmp`;
+          const body = JSON.stringify({ entries: getEntries() });
+          fs.writeFileSync(tmp, body);
+          fs.renameSync(tmp, file);
+        } catch (err) {
+          console.error("[ERROR] AI 回答快取寫檔失敗：", err.message);
+        }
+      }, SAVE_DELAY_MS);
+      timer.unref();
+    },
+  };
+}
+
+function numberFrom(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// 依環境變數建立快取；ANSWER_CACHE=off 時回傳 null
+//   ANSWER_CACHE：memory（預設）/ file / off
+//   ANSWER_CACHE_FILE：file 後端的檔案位置
+//   ANSWER_CACHE_TTL_HOURS、ANSWER_CACHE_MAX：保存時間與筆數上限
+//   ANSWER_CACHE_SIMILARITY：相似問題的門檻（0～1，設 1 只比對完全相同）
+// scope：同一題在不同模式（concise / detailed）、不同模型下的回答分開存
+export function createAnswerCache(env = process.env) {
+  const kind = (env.ANSWER_CACHE || "memory").trim().toLowerCase();
+  if (kind === "off") {
+    console.log("[INFO] AI 回答快取已停用");
+    return null;
+  }
+  if (kind !== "memory" && kind !== "file") {
+    console.error(
+      `[ERROR] 不認得的 ANSWER_CACHE「${env.ANSWER_CACHE}」，可用：memory、file、off；改用 memory`
+    );
+  }
+
+  const backend =
+    kind === "file"
+      ? fileBackend(env.ANSWER_CACHE_FILE || DEFAULT_FILE)
+      : memoryBackend();
+  const ttlMs =
+    numberFrom(env.ANSWER_CACHE_TTL_HOURS, DEFAULT_TTL_HOURS) * 3600 * 1000;
+  const maxEntries = Math.floor(
+    numberFrom(env.ANSWER_CACHE_MAX, DEFAULT_MAX_ENTRIES)
+  );
+  const threshold = Math.min(
+    numberFrom(env.ANSWER_CACHE_SIMILARITY, DEFAULT_SIMILARITY),
+    1
+  );
+
+  // `${scope}|${key}` → { scope, key, question, answer, memo, fingerprint, createdAt, hits }
+  // Map 依插入順序 → 最前面的就是最久沒用到的
+  const entries = new Map();
+  const stats = {
+    hits: 0,
+    fuzzyHits: 0,
+    misses: 0,
+    stores: 0,
+    evictions: 0,
+    expired: 0,
+    invalidated: 0,
+  };
+  let fingerprint = null;
+
+  const persist = () => backend.save(() => [...entries.values()]);
+
+  for (const e of backend.load()) {
+    if (e?.scope && e.key && e.answer) entries.set(`${e.scope}|${e.key}`, e);
+  }
+
+  // 資料變動過 → 清掉用舊資料產生的回答（也包含 file 後端上次留下的）
+  function syncKnowledge() {
+    const current = knowledgeFingerprint();
+    if (current === fingerprint) return current;
+    let removed = 0;
+    for (const [id, e] of entries) {
+      if (e.fingerprint !== current) {
+        entries.delete(id);
+        removed += 1;
+      }
+    }
+    if (removed) {
+      stats.invalidated += removed;
+      console.log(`[INFO] 知識資料已變動，清除 ${removed} 筆 AI 回答快取`);
+      persist();
+    }
+    fingerprint = current;
+    return current;
+  }
+
+  function isExpired(e, now) {
+    if (now - e.createdAt <= ttlMs) return false;
+    entries.delete(`${e.scope}|${e.key}`);
+    stats.expired += 1;
+    return true;
+  }
+
+  // 查快取：先找完全相同，再找同 scope 裡最像的；回傳 { answer, memo, question, similarity } 或 null
+  function lookup(question, scope) {
+    syncKnowledge();
+    const key = normalizeQuestion(question);
+    const now = Date.now();
+    let found = entries.get(`${scope}|${key}`);
+    let score = 1;
+    if (found && isExpired(found, now)) found = null;
+
+    if (!found && threshold < 1 && key.length >= MIN_FUZZY_CHARS) {
+      const grams = bigrams(key);
+      const numbers = numbersOf(key);
+      let best = 0;
+      for (const e of [...entries.values()]) {
+        if (e.scope !== scope || numbersOf(e.key) !== numbers) continue;
+        if (isExpired(e, now)) continue;
+        const s = similarity(grams, bigrams(e.key));
+        if (s >= threshold && s > best) {
+          best = s;
+          found = e;
+        }
+      }
+      score = best;
+    }
+
+    if (!found) {
+      stats.misses += 1;
+      return null;
+    }
+
+    stats.hits += 1;
+    if (score < 1) stats.fuzzyHits += 1;
+    found.hits = (found.hits || 0) + 1;
+    // 移到最後面（最近用過）
+    const id = `${found.scope}|${found.key}`;
+    entries.delete(id);
+    entries.set(id, found);
+    persist();
+    return {
+      answer: found.answer,
+      memo: found.memo,
+      question: found.question,
+      similarity: Math.round(score * 100) / 100,
+    };
+  }
+
+  // 存回答；memo 是存進對話記憶用的版本（沒有來源清單與檢查說明）
+  function store(question, scope, { answer, memo = answer }) {
+    const key = normalizeQuestion(question);
+    if (!key || !answer) return;
+    const id = `${scope}|${key}`;
+    entries.delete(id);
+    entries.set(id, {
+      scope,
+      key,
+      question: String(question).trim(),
+      answer,
+      memo,
+      fingerprint: syncKnowledge(),
+      createdAt: Date.now(),
+      hits: 0,
+    });
+    stats.stores += 1;
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions += 1;
+    }
+    persist();
+  }
+
+  function clear() {
+    const n = entries.size;
+    entries.clear();
+    persist();
+    return n;
+  }
+
+  // 命中統計（給 /status 使用）
+  function getStats() {
+    const lookups = stats.hits + stats.misses;
+    const rate = lookups ? stats.hits / lookups : 0;
+    return {
+      backend: backend.name,
+      ...(backend.file ? { file: backend.file } : {}),
+      entries: entries.size,
+      maxEntries,
+      ttlHours: ttlMs / 3600 / 1000,
+      similarity: threshold,
+      ...stats,
+      hitRate: Math.round(rate * 1000) / 1000,
+    };
+  }
+
+  console.log(
+    `[INFO] AI 回答快取已啟用：${backend.name}（${entries.size} 筆，上限 ${maxEntries} 筆）`
+  );
+  return { backend: backend.name, lookup, store, clear, getStats };
+}
@@ -0,0 +1,234 @@
+// src/articleHistory.js
+// 負責：條文的修法歷程（各版本的施行期間、當時規定、修正重點），
+//       以及「第24條 2017年版」「第38條修法歷程」這類依日期查當時版本的問答。
+// 版本放在條文的 versions 欄位，由舊到新；最後一版沒有 to，就是現行條文。
+
+import { articleLabel, lawHistoryUrl } from "./articles.js";
+import { formatDate, parseDate } from "./dates.js";
+
+// 差異摘要每個方向最多列幾句、每句最多幾個字
+const MAX_DIFF_LINES = 3;
+const MAX_DIFF_CHARS = 60;
+
+const HISTORY_RE =
+  /修法(?:歷程|沿革|紀錄|記錄|史)|修正(?:歷程|沿革)|歷次修法|舊版|舊法|修法前|修正前/;
+// 明確在問某個時間點的版本（「2017年版」「2016/12/01 當時」）；
+// 只是提到日期的一般問題（「我2024年被資遣，第17條…」）不算
+const VERSION_RE = /版|當時|那時/;
+
+// "2017-06-01" → "2017/06/01"
+function displayDate(iso) {
+  return iso.replace(/-/g, "/");
+}
+
+function isoDate(date) {
+  return formatDate(date).replace(/\//g, "-");
+}
+
+function toHalfWidth(s) {
+  return String(s || "").replace(/[０-９]/g, (d) =>
+    String.fromCharCode(d.charCodeAt(0) - 65248)
+  );
+}
+
+// 「第38條修法歷程」「勞基法第24條修法沿革」
+export function isHistoryQuery(text) {
+  return HISTORY_RE.test(String(text || ""));
+}
+
+// 「第24條 2017年版」「第38條在 2016/12/01 當時的規定」
+export function isVersionQuery(text) {
+  return VERSION_RE.test(String(text || "")) && !!parseAsOfQuery(text);
+}
+
+// 從問題中找出要查哪個時間點：
+//   2017/6/1、2017-06-01、2017年6月1日 → 指定日期
+//   2017年版、2017年、民國106年、106年版 → 整個年度
+// 回傳 { iso, year, label }（指定日期時 year 為 null），找不到回傳 null
+export function parseAsOfQuery(text) {
+  const s = toHalfWidth(text);
+
+  const full = s.match(
+    /(\d{2,4})\s*[/\-.年]\s*(\d{1,2})\s*[/\-.月]\s*(\d{1,2})\s*日?/
+  );
+  const date = full && parseDate(`${full[1]}/${full[2]}/${full[3]}`);
+  if (date) {
+    const iso = isoDate(date);
+    return { iso, year: null, label: `${displayDate(iso)} 當時` };
+  }
+
+  // 西元年要有「年」或「版」；民國年要寫「民國」或「年版」，避免把「滿3年」當成年份
+  const m =
+    s.match(/(\d{4})\s*(?:年|版)/) ||
+    s.match(/民國\s*(\d{2,3})\s*年/) ||
+    s.match(/(\d{2,3})\s*年\s*(?:版|的版本)/);
+  if (!m) return null;
+  let year = parseInt(m[1], 10);
+  if (year < 1911) year += 1911;
+  return { iso: `${year}-12-31`, year, label: `${year} 年` };
+}
+
+// 條文的版本清單；現行版沒寫 summary / text 時沿用條文本身的
+export function articleVersions(art) {
+  const list = Array.isArray(art?.versions) ? art.versions : [];
+  return list.map((v, i) => {
+    const current = i === list.length - 1;
+    return {
+      ...v,
+      to: current ? null : v.to,
+      summary: v.summary || (current ? art.summary || "" : ""),
+      text: v.text || (current ? art.text : undefined),
+      current,
+    };
+  });
+}
+
+// 某一天施行中的版本
+export function versionAt(versions, iso) {
+  return versions.find((v) => v.from <= iso && (!v.to || iso <= v.to)) || null;
+}
+
+// 某一年內施行過的版本，依該年內施行天數由多到少
+function versionsInYear(versions, year) {
+  const start = Date.parse(`${year}-01-01`);
+  const end = Date.parse(`${year}-12-31`);
+  return versions
+    .map((v) => {
+      const from = Math.max(Date.parse(v.from), start);
+      const to = Math.min(v.to ? Date.parse(v.to) : end, end);
+      return { version: v, days: to - from };
+    })
+    .filter((x) => x.days >= 0)
+    .sort((a, b) => b.days - a.days)
+    .map((x) => x.version);
+}
+
+function period(v) {
+  return v.to
+    ? `${displayDate(v.from)} ～ ${displayDate(v.to)}`
+    : `${displayDate(v.from)} 起（現行）`;
+}
+
+function sentences(text) {
+  return String(text || "")
+    .split(/(?<=[。；：])|\n/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function clip(s) {
+  return s.length > MAX_DIFF_CHARS ? `${s.slice(0, MAX_DIFF_CHARS)}…` : s;
+}
+
+// 兩版之間的差異摘要：先放整理好的修正重點，兩版都有原文時再列出增刪的句子
+export function diffVersions(prev, next) {
+  if (!prev || !next) return [];
+  const lines = [];
+  if (next.change) lines.push(next.change);
+  if (prev.text && next.text) {
+    const before = sentences(prev.text);
+    const after = sentences(next.text);
+    const removed = before.filter((s) => !after.includes(s));
+    const added = after.filter((s) => !before.includes(s));
+    lines.push(
+      ...removed.slice(0, MAX_DIFF_LINES).map((s) => `－ ${clip(s)}`),
+      ...added.slice(0, MAX_DIFF_LINES).map((s) => `＋ ${clip(s)}`)
+    );
+  }
+  return lines;
+}
+
+// 沒有整理修法歷程的條文：說明現況並附上官方沿革
+function formatNoHistoryReply({ law, id }, art) {
+  const lines = [`🕰️ 目前還沒有整理${articleLabel(id, law)}的修法歷程。`];
+  if (art.amended) {
+    lines.push(`🗓️ 最後修正：${displayDate(art.amended)}`);
+  }
+  if (art.summary) lines.push("", "💡 現行規定：", art.summary);
+  lines.push("", `🔗 法規沿革：${lawHistoryUrl(law)}`);
+  return lines.join("\n");
+}
+
+// 「第24條 2017年版」：回覆當時施行的版本，並和前一版、現行版比較
+export function formatVersionReply(ref, art, asOf) {
+  const versions = articleVersions(art);
+  if (versions.length === 0) return formatNoHistoryReply(ref, art);
+
+  const label = articleLabel(ref.id, ref.law);
+  const candidates = asOf.year
+    ? versionsInYear(versions, asOf.year)
+    : [versionAt(versions, asOf.iso)].filter(Boolean);
+  const picked = candidates[0];
+  if (!picked) {
+    const first = displayDate(versions[0].from);
+    return [
+      `🕰️ 查不到${label}在 ${asOf.label}的版本。`,
+      `目前整理的版本從 ${first} 起，更早的內容請看法規沿革：`,
+      lawHistoryUrl(ref.law),
+    ].join("\n");
+  }
+
+  const index = versions.indexOf(picked);
+  const current = versions[versions.length - 1];
+  const lines = [
+    `🕰️ ${label}（${asOf.label}適用的版本）`,
+    "────────────────────",
+    `📅 施行期間：${period(picked)}`,
+    "",
+    "💡 當時規定：",
+    picked.summary || "（這一版只有原文，請輸入「原文」查看）",
+  ];
+
+  const diff = diffVersions(versions[index - 1], picked);
+  if (diff.length) lines.push("", "🔄 跟前一版比：", ...diff);
+
+  const others = candidates.slice(1).map(period).join("、");
+  if (others) {
+    lines.push("", `📌 ${asOf.year} 年間有修法，同年也適用過：${others}`);
+  }
+
+  if (picked.current) {
+    lines.push("", "✅ 這一版就是現行條文。");
+  } else {
+    lines.push(
+      "",
+      `✅ 現行規定（${displayDate(current.from)} 起）：`,
+      current.summary
+    );
+  }
+
+  lines.push(
+    "",
+    "⚠️ 提醒：勞資爭議原則上依事實發生時施行的規定判斷；以上為修法重點整理，實際仍以全國法規資料庫的法規沿革與主管機關解釋為準。",
+    `🔗 法規沿革：${lawHistoryUrl(ref.law)}`
+  );
+  return lines.join("\n");
+}
+
+// 「第38條修法歷程」：依序列出各版本的施行期間與修正重點
+export function formatHistoryReply(ref, art) {
+  const versions = articleVersions(art);
+  if (versions.length === 0) return formatNoHistoryReply(ref, art);
+
+  const lines = [
+    `📚 ${articleLabel(ref.id, ref.law)}修法歷程`,
+    "────────────────────",
+  ];
+  versions.forEach((v, i) => {
+    lines.push(`${i + 1}. ${period(v)}`);
+    const diff = diffVersions(versions[i - 1], v);
+    if (i === 0 || diff.length === 0) {
+      lines.push(v.summary || "（內容請看法規沿革）");
+    } else {
+      lines.push(...diff);
+    }
+    lines.push("");
+  });
+  const short = articleLabel(ref.id, ref.law, { short: true });
+  const example = `${short} ${versions[0].from.slice(0, 4)}年版`;
+  lines.push(
+    `💡 想看某一年的規定，可以輸入「${example}」`,
+    `🔗 法規沿革：${lawHistoryUrl(ref.law)}`
+  );
+  return lines.join("\n");
+}
@@ -1,8 +1,15 @@
 // src/articles.js
-// 負責：載入勞基法條文摘要 JSON，並提供查詢與排版工具。
+// 負責：載入各法規（勞基法、性平法、勞退條例…）的條文摘要 JSON，並提供查詢與排版工具。
+// 法規清單在 src/data/laws.json：每部法規有自己的 pcode 與條文檔，
+// 條文物件載入時會補上 law（法規 id），查詢時以 { law, id } 指定哪一部法規的哪一條。
 
 import fs from "fs";
 import path from "path";
+import {
+  validateArticlesData,
+  validateLawsData,
+  assertValid,
+} from "./validate.js";
 
 // 小工具：文字正規化（去空白、小寫）
 function normalize(text) {
@@ -10,26 +17,249 @@ function normalize(text) {
   return text.toLowerCase().replace(/\s+/g, "");
 }
 
-// 1. 載入 JSON 檔
-const articlesPath = path.resolve("./src/data/articles.json");
-let articles = [];
+// 1. 載入 JSON 檔（格式錯誤或驗證失敗直接丟錯，不默默以空資料啟動）
+const dataDir = path.resolve("./src/data");
+const lawsPath = path.join(dataDir, "laws.json");
+let laws = []; // [{ id, name, short, aliases, pcode, file, default, meta, articles }]
+let articles = []; // 所有法規的條文攤平（給搜尋索引）
+let defaultLawId = null;
+let lawPattern = null; // 法規名稱／簡稱的正規表示式片段（長的排前面）
+
+// 讀檔 + 驗證，不動到目前使用中的資料（重新載入時先驗證再替換）
+export function loadArticlesData() {
+  const registry = JSON.parse(fs.readFileSync(lawsPath, "utf8"));
+  assertValid("laws.json", validateLawsData(registry));
+
+  const loaded = registry.laws.map((law) => {
+    const jsonData = fs.readFileSync(path.join(dataDir, law.file), "utf8");
+    const parsed = JSON.parse(jsonData);
+    assertValid(law.file, validateArticlesData(parsed, { law }));
+    return {
+      ...law,
+      meta: parsed.meta || {},
+      articles: parsed.articles.map((art) => ({ ...art, law: law.id })),
+    };
+  });
+  return { laws: loaded, meta: registry.meta || {} };
+}
+
+// 換上新資料（一次替換整組陣列，查詢中途不會看到一半新一半舊）
+export function setArticlesData(data) {
+  laws = data.laws;
+  articles = laws.flatMap((law) => law.articles);
+  defaultLawId = (laws.find((law) => law.default) || laws[0]).id;
+  lawPattern = laws
+    .flatMap((law) => [law.name, law.short, ...(law.aliases || [])])
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .join("|");
+  for (const law of laws) {
+    console.log(
+      `[INFO] 已載入 ${law.articles.length} 條${law.name}摘要（版本 ${
+        law.meta.version || "未標示"
+      }）`
+    );
+  }
+}
 
 try {
-  const jsonData = fs.readFileSync(articlesPath, "utf8");
-  const parsed = JSON.parse(jsonData);
-  articles = parsed.articles || [];
-  console.log(`[INFO] 已載入 ${articles.length} 條勞基法摘要`);
+  setArticlesData(loadArticlesData());
 } catch (e) {
-  console.error("[ERROR] 無法載入 articles.json：", e);
-  articles = [];
+  console.error("[ERROR] 無法載入條文資料：", e.message);
+  throw e;
+}
+
+// 預設法規（勞基法）的 meta，沿用單一法規時代的 /status 欄位
+export function getArticlesMeta() {
+  return getLaw(defaultLawId)?.meta || {};
+}
+
+// 取得目前載入的全部條文（唯讀使用，給搜尋索引等模組）
+export function getArticles() {
+  return articles;
+}
+
+export function getLaws() {
+  return laws;
+}
+
+export function getDefaultLawId() {
+  return defaultLawId;
+}
+
+// 法規 id → 法規資料；沒給 id 回傳預設法規
+export function getLaw(lawId = defaultLawId) {
+  return laws.find((law) => law.id === (lawId || defaultLawId)) || null;
+}
+
+// 「性平法」「勞工退休金條例」「gea」→ 法規 id；認不得回傳 null
+// list 可指定用哪一份法規清單（重新載入時用新版清單檢查）
+export function resolveLawId(text, list = laws) {
+  const s = normalize(text);
+  if (!s) return null;
+  const law = list.find(
+    (l) =>
+      l.id === s ||
+      l.name === s ||
+      l.short === s ||
+      (l.aliases || []).includes(s)
+  );
+  return law ? law.id : null;
+}
+
+// 法規全名（勞動基準法）／簡稱（勞基法）
+export function lawName(lawId) {
+  return getLaw(lawId)?.name || "";
+}
+
+export function lawShortName(lawId) {
+  const law = getLaw(lawId);
+  return law ? law.short || law.name : "";
+}
+
+// 條號 id：一般條文為 "30"，之N 條文（如第84條之1）為 "84-1"
+export function articleId(art) {
+  if (!art) return null;
+  return art.sub ? `${art.no}-${art.sub}` : String(art.no);
+}
+
+// 全形數字轉半形
+function toHalfWidth(numStr) {
+  return numStr.replace(/[０-９]/g, (d) =>
+    String.fromCharCode(d.charCodeAt(0) - 65248)
+  );
+}
+
+// 中文數字（一～九百九十九）轉阿拉伯數字（搭配 parseNumeral 使用）
+const CN_DIGITS = {
+  零: 0,
+  〇: 0,
+  一: 1,
+  二: 2,
+  兩: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9,
+};
+
+function parseChineseNumeral(str) {
+  let total = 0;
+  let num = 0;
+  for (const ch of str) {
+    if (ch in CN_DIGITS) {
+      num = CN_DIGITS[ch];
+    } else if (ch === "十") {
+      total += (num || 1) * 10;
+      num = 0;
+    } else if (ch === "百") {
+      total += (num || 1) * 100;
+      num = 0;
+    } else {
+      return NaN;
+    }
+  }
+  return total + num;
+}
+
+// 單一數字片段（阿拉伯／全形／中文）轉整數：
+// "30"、"３０"、"三十"、"一百零五" 皆可；無法辨識回傳 NaN
+export function parseNumeral(str) {
+  if (!str) return NaN;
+  if (/^[0-9０-９]+$/.test(str)) return parseInt(toHalfWidth(str), 10);
+  return parseChineseNumeral(str);
+}
+
+// 把各種寫法（30、"84-1"、"84之1"、"八十四條之一"）統一成條號 id
+export function normalizeArticleId(input) {
+  if (input === null || input === undefined || input === "") return null;
+  const s = String(input)
+    .replace(/\s+/g, "")
+    .replace(/^第/, "")
+    .replace(/條/, "");
+  const m = s.match(
+    /^([0-9０-９零〇一二兩三四五六七八九十百]+)(?:[之\-－]([0-9０-９零〇一二兩三四五六七八九十]+))?$/
+  );
+  if (!m) return null;
+  const no = parseNumeral(m[1]);
+  if (Number.isNaN(no) || no <= 0) return null;
+  if (!m[2]) return String(no);
+  const sub = parseNumeral(m[2]);
+  if (Number.isNaN(sub) || sub <= 0) return String(no);
+  return `${no}-${sub}`;
+}
+
+// 條號 id 排序用：先比主條號，再比之N
+export function compareArticleIds(a, b) {
+  const [an, as = 0] = a.split("-").map(Number);
+  const [bn, bs = 0] = b.split("-").map(Number);
+  return an - bn || as - bs;
+}
+
+// 全國法規資料庫：條文連結（條號可為 30 或 "84-1"；沒給條號就連到全部條文）
+export function lawUrl(no, lawId) {
+  const pcode = getLaw(lawId)?.pcode;
+  const id = normalizeArticleId(no);
+  if (!id) return `https://law.moj.gov.tw/LawClass/LawAll.aspx?pcode=${pcode}`;
+  return `https://law.moj.gov.tw/LawClass/LawSingle.aspx?pcode=${pcode}&flno=${id}`;
+}
+
+// 全國法規資料庫：法規沿革頁
+export function lawHistoryUrl(lawId) {
+  const pcode = getLaw(lawId)?.pcode;
+  return `https://law.moj.gov.tw/LawClass/LawHistory.aspx?pcode=${pcode}`;
+}
+
+// 條文名稱：「勞動基準法第 30 條」；short 為 true 時用簡稱且不留空白（查詢指令用）
+export function articleLabel(no, lawId, { short = false } = {}) {
+  if (short) return `${lawShortName(lawId)}第${no}條`;
+  return `${lawName(lawId)}第 ${no} 條`;
+}
+
+// 條文短標題：「勞動基準法第24條（延長工時…）」→「延長工時…」；其他格式原樣回傳
+export function articleShortTitle(art) {
+  const title = art?.title || "";
+  const m = title.match(/^.+?第[0-9]+條(?:之[0-9]+)?[（(](.+)[）)]$/);
+  return m ? m[1] : title;
+}
+
+// 題庫等資料裡的條文引用："24" → 預設法規第24條；"lpa:14" → 勞退條例第14條
+export function parseArticleRef(ref, list = laws) {
+  const m = String(ref || "").match(/^(?:([^:：]+)[:：])?(.+)$/);
+  if (!m) return null;
+  const fallback = (list.find((l) => l.default) || list[0])?.id;
+  const law = m[1] ? resolveLawId(m[1], list) : fallback;
+  const id = normalizeArticleId(m[2]);
+  return law && id ? { law, id } : null;
+}
+
+// 2. 依條號查詢條文（支援 30、"84-1"、"84之1"；沒給法規就查預設法規）
+export function findArticleByNumber(no, lawId) {
+  const id = normalizeArticleId(no);
+  const law = getLaw(lawId);
+  if (!id || !law) return null;
+  return law.articles.find((a) => articleId(a) === id) || null;
 }
 
-// 2. 依條號查詢條文
-export function findArticleByNumber(no) {
-  if (!no && no !== 0) return null;
-  const n = parseInt(no, 10);
-  if (Number.isNaN(n)) return null;
-  return articles.find((a) => a.no === n) || null;
+// 下一條：依資料中實際存在的條號排序（第84條 → 第84-1條 → 第84-2條 → 第85條）
+export function nextArticleId(no, lawId) {
+  const id = normalizeArticleId(no);
+  const law = getLaw(lawId);
+  if (!id || !law) return null;
+  const ids = law.articles.map(articleId).sort(compareArticleIds);
+  return ids.find((x) => compareArticleIds(x, id) > 0) || null;
+}
+
+// 上一條：同一部法規中排在前面最近的一條（沒有則回傳 null）
+export function prevArticleId(no, lawId) {
+  const id = normalizeArticleId(no);
+  const law = getLaw(lawId);
+  if (!id || !law) return null;
+  const ids = law.articles.map(articleId).sort(compareArticleIds);
+  return ids.filter((x) => compareArticleIds(x, id) < 0).pop() || null;
 }
 
 // 3. 依關鍵字模糊查詢條文（回傳最相近的一條）
@@ -62,50 +292,203 @@ export function findArticleByKeyword(text) {
   return best;
 }
 
-// 4. 從文字中擷取「第X條」／「勞基法第X條」等
-export function extractArticleNumber(text) {
+// 條號數字片段：阿拉伯／全形（最多 3 位）或中文數字
+const NUM = "([0-9０-９]{1,3}|[零〇一二兩三四五六七八九十百]{1,5})";
+// 之N：可寫在「條」之前（第84之1條、第84-1條）或之後（第84條之1）；
+// 「之一般」等字樣不算之N
+const SUB_BEFORE = `(?:[之\\-－]${NUM})?`;
+const SUB_AFTER = `(?:之${NUM}(?!般))?`;
+
+// 支援：勞動基準法第30條、勞基法第30條、勞基法30條、性平法第15條、勞退條例14條、
+//      第30條、第84條之1、第84之1條、第84-1條、第八十四條之一
+// 法規名稱由載入的法規清單組成，所以寫成函式（重新載入後會跟著更新）
+// 沒寫「第」「條」時，後面接 %、歲、年等字不算條號（「勞退6%」不是第6條）
+const lawPrefixedRef = () =>
+  `(${lawPattern})第?${NUM}${SUB_BEFORE}條?${SUB_AFTER}(?![0-9０-９.%％歲年個萬元人天日時])`;
+const BARE_REF = `第${NUM}${SUB_BEFORE}條${SUB_AFTER}`;
+
+// 正規表示式比對結果 → 條號 id（offset：條號前面還有幾個擷取群組）
+function idFromMatch(m, offset = 0) {
+  if (!m || !m[1 + offset]) return null;
+  const sub = m[2 + offset] || m[3 + offset];
+  const no = m[1 + offset];
+  return normalizeArticleId(sub ? `${no}之${sub}` : no);
+}
+
+// 句子、子句的分界：法規名稱只管到這裡為止
+const CLAUSE_BREAK = /[，,。；;：:！!？?（）()「」]/;
+// 列舉、範圍的連接詞：「第15、16條」「第15條及第16條」「第14條至第16條」
+const LIST_JOINER = /^(?:[、和跟與及或至到~～〜]|以及)$/;
+
+// 依出現順序替每段條號引用（spans：[{ start, end }]）決定法規，寫入 sp.law：
+//   • 同一子句裡、引用前面寫了法規名稱 → 該法規
+//   • 用「、」「及」等接在前一個引用後面，而這串列舉開頭就寫了法規 → 沿用前一個的法規
+//   • 其他（換句、換子句，或列舉開頭沒寫法規）→ 預設法規
+// 例：「性平法第15條及第16條」→ 都是性平法；「依第二十四條及性平法第15條與第三十八條」→ 24、38 是勞基法
+function assignLaws(s, spans) {
+  const lawRe = new RegExp(lawPattern, "g");
+  let prev = null;
+  let listLaw = null; // 這串列舉開頭寫的法規
+  for (const sp of spans) {
+    const gap = s.slice(prev ? prev.end : 0, sp.start);
+    const clause = gap.split(CLAUSE_BREAK).pop();
+    const named = [...clause.matchAll(lawRe)].pop();
+    const explicit = named ? resolveLawId(named[0]) : null;
+    const joined = !!prev && LIST_JOINER.test(gap.replace(lawRe, ""));
+    if (!joined) listLaw = explicit;
+    else if (explicit && listLaw) listLaw = explicit;
+    sp.law = explicit || listLaw || defaultLawId;
+    prev = sp;
+  }
+  return spans;
+}
+
+// 比對結果的範圍；開頭的法規名稱不算在內（留給 assignLaws 判斷）
+function spanOf(m) {
+  const lead = m[0].match(new RegExp(`^(?:${lawPattern})`));
+  return {
+    start: m.index + (lead ? lead[0].length : 0),
+    end: m.index + m[0].length,
+  };
+}
+
+// 4. 從文字中擷取「第X條」／「勞基法第X條」／「性平法第15條」等，回傳 { law, id }
+export function extractArticleRef(text) {
   if (!text) return null;
   const s = text.replace(/\s+/g, "");
 
-  // 支援：勞動基準法第30條、勞基法第30條、勞基法30條、第30條
-  const patterns = [
-    /勞動基準法第?([0-9０-９]{1,3})條?/,
-    /勞基法第?([0-9０-９]{1,3})條?/,
-    /勞動基準法([0-9０-９]{1,3})條?/,
-    /勞基法([0-9０-９]{1,3})條?/,
-    /第([0-9０-９]{1,3})條/,
-  ];
+  const prefixed = s.match(new RegExp(lawPrefixedRef()));
+  const prefixedId = idFromMatch(prefixed, 1);
+  if (prefixedId) return { law: resolveLawId(prefixed[1]), id: prefixedId };
 
-  for (const re of patterns) {
-    const m = s.match(re);
-    if (m && m[1]) {
-      // 全形數字轉半形
-      const numStr = m[1].replace(/[０-９]/g, (d) =>
-        String.fromCharCode(d.charCodeAt(0) - 65248)
-      );
-      const n = parseInt(numStr, 10);
-      if (!Number.isNaN(n)) {
-        return n;
-      }
-    }
+  const bare = s.match(new RegExp(BARE_REF));
+  const bareId = idFromMatch(bare);
+  if (bareId) {
+    const [sp] = assignLaws(s, [spanOf(bare)]);
+    return { law: sp.law, id: bareId };
   }
 
   return null;
 }
 
+// 條文引用去重用的 key
+const refKey = (ref) => `${ref.law}:${ref.id}`;
+
+function uniqueRefs(refs) {
+  const seen = new Set();
+  return refs.filter((ref) => {
+    const key = refKey(ref);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// 4-1. 擷取文字中所有「第X條」（含中文數字與之N），回傳去重後的 [{ law, id }]
+// 例：「依第二十四條及性平法第15條…」→ [{ law: "lsa", id: "24" }, { law: "gea", id: "15" }]
+export function extractArticleRefs(text) {
+  if (!text) return [];
+  const s = text.replace(/\s+/g, "");
+  const spans = [];
+  for (const m of s.matchAll(new RegExp(BARE_REF, "g"))) {
+    const id = idFromMatch(m);
+    if (id && parseInt(id, 10) < 1000) spans.push({ ...spanOf(m), id });
+  }
+  return uniqueRefs(assignLaws(s, spans).map(({ law, id }) => ({ law, id })));
+}
+
+// 範圍：第30~32條、第30條至第32條、勞基法30到32條
+const rangeRef = () =>
+  `(?:(?:${lawPattern})第?|第)${NUM}條?[~～〜至到]第?${NUM}條`;
+// 列舉：第24、32條、第24和32條、勞基法24、38條（前面是法規名稱時「第」可省略）
+const listRef = () =>
+  `(?:(?:${lawPattern})第?|第)${NUM}((?:[、,，和跟與及]${NUM})+)條`;
+
+// 展開範圍：主條號介於 from～to 之間的條文（含資料中已有的之N 條文）
+function expandArticleRange(from, to, lawId) {
+  const ids = new Set();
+  for (let n = from; n <= to; n++) ids.add(String(n));
+  for (const art of getLaw(lawId)?.articles || []) {
+    if (art.no >= from && art.no < to) ids.add(articleId(art));
+  }
+  return Array.from(ids).sort(compareArticleIds);
+}
+
+// 4-2. 擷取一則訊息中所有查詢的條文（含列舉與範圍），依出現順序回傳 [{ law, id }]
+// 例：「第24條跟第32條差在哪」→ 勞基法 24、32；「第32~33條」→ 32、32-1、33
+export function extractArticleList(text) {
+  if (!text) return [];
+  const s = text.replace(/\s+/g, "");
+  const spans = [];
+  const overlaps = (start, end) =>
+    spans.some((sp) => start < sp.end && end > sp.start);
+  // ids：條號清單，或 (law) => 條號清單（範圍要知道法規才能展開之N 條文）
+  const take = (m, ids) => {
+    const { start, end } = spanOf(m);
+    if (overlaps(start, end) || ids.length === 0) return;
+    spans.push({ start, end, ids });
+  };
+
+  for (const m of s.matchAll(new RegExp(rangeRef(), "g"))) {
+    const from = parseNumeral(m[1]);
+    const to = parseNumeral(m[2]);
+    if (Number.isNaN(from) || Number.isNaN(to) || from <= 0 || to <= from)
+      continue;
+    if (to >= 1000) continue;
+    take(m, (law) => expandArticleRange(from, to, law));
+  }
+
+  for (const m of s.matchAll(new RegExp(listRef(), "g"))) {
+    const rest = m[2].split(/[、,，和跟與及]/).filter(Boolean);
+    const ids = [m[1], ...rest].map(normalizeArticleId).filter(Boolean);
+    take(m, ids);
+  }
+
+  // 勞基法24條、性平法15（沒寫「第」）
+  for (const m of s.matchAll(new RegExp(lawPrefixedRef(), "g"))) {
+    const id = idFromMatch(m, 1);
+    if (id) take(m, [id]);
+  }
+
+  for (const m of s.matchAll(new RegExp(BARE_REF, "g"))) {
+    const id = idFromMatch(m);
+    if (id) take(m, [id]);
+  }
+
+  spans.sort((a, b) => a.start - b.start);
+  const refs = assignLaws(s, spans).flatMap((sp) => {
+    const ids = typeof sp.ids === "function" ? sp.ids(sp.law) : sp.ids;
+    return ids.map((id) => ({ law: sp.law, id }));
+  });
+  return uniqueRefs(refs).filter((ref) => parseInt(ref.id, 10) < 1000);
+}
+
+// 條文原文分段：每一項一段（款接在該項後面）；沒有匯入原文回傳 []
+export function articleTextBlocks(art) {
+  if (Array.isArray(art?.paragraphs) && art.paragraphs.length) {
+    return art.paragraphs.map((p) => [p.text, ...p.items].join("\n"));
+  }
+  return art?.text ? [art.text] : [];
+}
+
 // 5. 統一條文回覆格式（給 LINE 用）
 export function formatArticleReply(userText, articleNo, articleData) {
-  const title = articleData.title || `勞動基準法第 ${articleNo} 條`;
+  const label = articleLabel(articleNo, articleData.law);
+  const title = articleData.title || label;
+  const blocks = articleTextBlocks(articleData);
+  // 只有原文、還沒寫摘要的條文：先給第一項原文
   const summary =
     articleData.summary ||
-    "目前僅知本條與勞動條件相關，建議查閱官方條文以取得完整內容。";
+    (blocks.length
+      ? `📜 ${blocks[0]}`
+      : "目前僅知本條與勞動條件相關，建議查閱官方條文以取得完整內容。");
   const keywords =
     Array.isArray(articleData.keywords) && articleData.keywords.length > 0
       ? articleData.keywords.join("、")
       : "（尚未整理）";
 
   const lines = [
-    `🧾 你查的是：勞動基準法第 ${articleNo} 條`,
+    `🧾 你查的是：${label}`,
     "────────────────────",
     `📘 條文標題：${title}`,
     "",
@@ -116,6 +499,13 @@ export function formatArticleReply(userText, articleNo, articleData) {
     "",
     "⚠️ 提醒：以上為條文重點摘要，僅供一般性參考，實際仍以最新官方條文與主管機關解釋為準。",
   ];
+  const short = articleLabel(articleNo, articleData.law, { short: true });
+  if (blocks.length) {
+    lines.push(`📜 想看條文原文，輸入「原文 ${short}」`);
+  }
+  if (Array.isArray(articleData.versions) && articleData.versions.length > 1) {
+    lines.push(`🕰️ 本條曾經修法，輸入「${short}修法歷程」看各版本`);
+  }
 
   return lines.join("\n");
 }
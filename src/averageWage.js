@@ -0,0 +1,289 @@
+// src/averageWage.js
+// 負責：平均工資試算（勞基法第2條第4款），供資遣費、職災補償、退休金等試算器共用。
+//   • 事由發生當日前 6 個月工資總額 ÷ 該期間總日數
+//   • 工作未滿 6 個月：以工作期間計算
+//   • 施行細則第2條的期間（職災醫療、產假減半、普通傷病假、留職停薪等）日數與工資都不列入
+//   • 按日／時／件計酬者，不得低於工資總額 ÷ 實際工作日數的 60%
+
+import {
+  addDays,
+  addMonths,
+  daysBetween,
+  formatDate,
+  parseDate,
+} from "./dates.js";
+
+export const AVERAGE_WAGE_MONTHS = 6;
+export const PIECE_RATE_FLOOR = 0.6;
+
+// 施行細則第2條：可排除的期間（說明用）
+export const EXCLUDABLE_PERIODS = [
+  "職業災害醫療期間",
+  "產假依第50條第2項減半發給工資",
+  "雇主因天災事變不可抗力停工",
+  "普通傷病假",
+  "生理假、產假、家庭照顧假、安胎休養致減少工資",
+  "留職停薪",
+];
+
+// "45000,46000、47500" → [number]（逗號是分隔符號，金額不要寫千分位）
+export function parseWageList(text) {
+  return String(text || "")
+    .replace(/[０-９．]/g, (d) => String.fromCharCode(d.charCodeAt(0) - 65248))
+    .split(/[,，、/]+/)
+    .map((v) => parseFloat(v.replace(/[^\d.]/g, "")))
+    .filter((v) => !Number.isNaN(v));
+}
+
+// "2026/06/01~2026/06/30" → { from, to }（含首尾）；無法辨識回傳 null
+export function parseDateRange(text) {
+  const [a, b] = String(text || "").split(/[~～〜至到]/);
+  const from = parseDate(a);
+  const to = parseDate(b);
+  if (!from || !to || to < from) return null;
+  return { from, to };
+}
+
+// 參數別名 → 內部欄位
+function mapKey(k) {
+  const kk = k.toLowerCase();
+  if (/(事由|計算日|離職|資遣日|event)/.test(kk)) return "eventDate";
+  if (/(到職|報到|hire)/.test(kk)) return "hireDate";
+  if (/(排除工資|扣除工資)/.test(kk)) return "excludedWages";
+  if (/(排除|扣除|exclude)/.test(kk)) return "exclusion";
+  if (/(工作日數|出勤日數|workdays)/.test(kk)) return "workDays";
+  if (/^(工資|薪資|各月工資|wages)$/.test(kk)) return "wages";
+  return kk;
+}
+
+// 參數解析：試算平均工資 事由日=2026/10/31 工資=45000,45000,46000,45000,48000,45000
+//          [到職日=...] [排除=2026/06/01~2026/06/30 排除工資=22500] [工作日數=120]
+// 其他試算器也可直接拿來解析同一串指令（不認得的參數會被略過）
+export function parseAverageWageArgs(text) {
+  const tokens = text
+    .replace(/^試算平均工資/, "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const params = {
+    eventDate: null,
+    hireDate: null,
+    wages: [],
+    exclusions: [],
+    excludedWages: 0,
+    workDays: NaN,
+    invalid: [], // 看不懂的排除期間，回報給使用者
+  };
+
+  tokens.forEach((t) => {
+    const [rawK, rawV] = t.split("=");
+    if (!rawK || typeof rawV === "undefined") return;
+    const key = mapKey(rawK.trim());
+
+    if (["eventDate", "hireDate"].includes(key)) {
+      params[key] = parseDate(rawV);
+    } else if (key === "wages") {
+      params.wages = parseWageList(rawV);
+    } else if (key === "exclusion") {
+      // 多段可用逗號分開，或重複寫「排除=」
+      for (const part of rawV.split(/[,，、]/).filter(Boolean)) {
+        const range = parseDateRange(part);
+        if (range) params.exclusions.push(range);
+        else params.invalid.push(part);
+      }
+    } else if (key === "excludedWages") {
+      params.excludedWages = parseWageList(rawV).reduce((a, b) => a + b, 0);
+    } else if (key === "workDays") {
+      const val = parseInt(String(rawV).replace(/[^\d]/g, ""), 10);
+      if (!Number.isNaN(val)) params.workDays = val;
+    }
+  });
+
+  return params;
+}
+
+// 排除期間落在計算期間內的天數（重疊的排除期間只算一次）
+function excludedDaysWithin(exclusions, start, end) {
+  const days = new Set();
+  for (const { from, to } of exclusions) {
+    const s = from > start ? from : start;
+    const e = addDays(to, 1) < end ? addDays(to, 1) : end;
+    for (let d = s; d < e; d = addDays(d, 1)) days.add(d.getTime());
+  }
+  return days.size;
+}
+
+// 計算：回傳 { ok, message?, result? }
+// result = { start, end, totalDays, excludedDays, days, totalWages, wages, daily, monthly, floorApplied }
+export function computeAverageWage(p) {
+  if (!p.eventDate) {
+    return {
+      ok: false,
+      message: "請提供事由發生日（例如離職日、受傷日：事由日=2026/10/31）",
+    };
+  }
+  if (!p.wages || p.wages.length === 0) {
+    return {
+      ok: false,
+      message:
+        "請提供前 6 個月的工資（例如：工資=45000,45000,46000,45000,48000,45000）",
+    };
+  }
+  if (p.wages.length > AVERAGE_WAGE_MONTHS) {
+    return { ok: false, message: "工資最多填 6 個月（由舊到新）喔" };
+  }
+  if (p.invalid && p.invalid.length) {
+    return {
+      ok: false,
+      message: `看不懂排除期間「${p.invalid.join(
+        "、"
+      )}」，請用 2026/06/01~2026/06/30 這種格式`,
+    };
+  }
+
+  // 事由發生當日不算（施行細則第2條第1款）
+  const end = p.eventDate;
+  let start = addMonths(end, -AVERAGE_WAGE_MONTHS);
+  if (p.hireDate && p.hireDate > start) start = p.hireDate;
+  if (start >= end) {
+    return { ok: false, message: "事由日要在到職日之後喔" };
+  }
+  // 工資不到 6 個月時，只有到職未滿 6 個月才說得通；否則天數會用滿 6 個月算，平均工資被低估
+  if (
+    p.wages.length < AVERAGE_WAGE_MONTHS &&
+    start.getTime() === addMonths(end, -AVERAGE_WAGE_MONTHS).getTime()
+  ) {
+    return {
+      ok: false,
+      message: `只填了 ${p.wages.length} 個月的工資：請填滿前 6 個月，到職未滿 6 個月的話請加上到職日（例如：到職日=2026/07/01）`,
+    };
+  }
+
+  const totalDays = daysBetween(start, end);
+  const excludedDays = excludedDaysWithin(p.exclusions || [], start, end);
+  const days = totalDays - excludedDays;
+  if (days <= 0) {
+    return {
+      ok: false,
+      message: "排除期間涵蓋了整個計算期間，無法計算平均工資",
+    };
+  }
+
+  const grossWages = p.wages.reduce((a, b) => a + b, 0);
+  const totalWages = grossWages - (p.excludedWages || 0);
+  if (totalWages < 0) {
+    return { ok: false, message: "排除工資不能大於工資總額喔" };
+  }
+
+  let daily = totalWages / days;
+  let floorApplied = false;
+  // 按日／時／件計酬：不得低於實際工作日平均的 60%
+  if (p.workDays > 0) {
+    const floor = (totalWages / p.workDays) * PIECE_RATE_FLOOR;
+    if (daily < floor) {
+      daily = floor;
+      floorApplied = true;
+    }
+  }
+
+  return {
+    ok: true,
+    result: {
+      start,
+      end,
+      totalDays,
+      excludedDays,
+      days,
+      grossWages,
+      excludedWages: p.excludedWages || 0,
+      totalWages,
+      wages: p.wages,
+      daily,
+      monthly: daily * 30,
+      floorApplied,
+      workDays: p.workDays,
+    },
+  };
+}
+
+const money = (n) => `$${Math.round(n).toLocaleString()}`;
+
+// 明細列（資遣費等試算器可直接併入自己的明細）
+export function averageWageRows(r) {
+  const rows = [
+    {
+      label: "計算期間",
+      value: `${formatDate(r.start)}～${formatDate(addDays(r.end, -1))}`,
+    },
+    { label: "期間日數", value: `${r.totalDays} 天` },
+  ];
+  if (r.excludedDays) {
+    rows.push({ label: "排除日數", value: `${r.excludedDays} 天` });
+  }
+  rows.push({ label: "工資總額", value: money(r.grossWages) });
+  if (r.excludedWages) {
+    rows.push({ label: "排除工資", value: money(r.excludedWages) });
+  }
+  const total = money(r.totalWages);
+  const daily = money(r.daily);
+  rows.push({
+    label: "日平均工資",
+    value: r.floorApplied
+      ? `${total} ÷ ${r.workDays} 工作日 × 60% = ${daily}（60% 保障）`
+      : `${total} ÷ ${r.days} 天 = ${daily}`,
+  });
+  rows.push({ label: "月平均工資", value: `${money(r.monthly)}（日 × 30）` });
+  return rows;
+}
+
+// 明細（給 Flex 明細卡）
+export function buildAverageWageBreakdown(r) {
+  const wageRows = r.wages.map((w, i) => ({
+    label: `第 ${i + 1} 個月`,
+    value: money(w),
+  }));
+  const notes = [];
+  if (r.start > addMonths(r.end, -AVERAGE_WAGE_MONTHS)) {
+    notes.push("工作未滿 6 個月，以工作期間計算。");
+  }
+  notes.push(
+    `施行細則第2條可排除的期間：${EXCLUDABLE_PERIODS.join(
+      "、"
+    )}；這些期間的日數與工資都不列入。`
+  );
+  notes.push(
+    "此為簡化試算，實際仍以勞基法第2條、施行細則第2條及主管機關解釋為準。"
+  );
+
+  return {
+    title: "平均工資試算 🧾",
+    subtitle: "勞基法第2條：事由發生前 6 個月工資 ÷ 總日數",
+    sections: [
+      { heading: "💵 各月工資（由舊到新）", rows: wageRows },
+      { heading: "🧮 計算", rows: averageWageRows(r) },
+    ],
+    total: { label: "月平均工資", value: money(r.monthly) },
+    notes,
+  };
+}
+
+export function buildAverageWageHelpText() {
+  return [
+    "🧾 平均工資試算器",
+    "────────────────────",
+    "請用下列格式輸入（空白分隔）：",
+    "試算平均工資 事由日=2026/10/31 工資=45000,45000,46000,45000,48000,45000",
+    "",
+    "• 事由日：離職、資遣、受傷等計算事由發生的那天（當天不算）",
+    "• 工資：事由日前 6 個月的工資，由舊到新、用逗號分開（不要寫千分位）",
+    "",
+    "可選參數：",
+    "• 到職日=2026/07/01（工作未滿 6 個月時以工作期間計算）",
+    "• 排除=2026/06/01~2026/06/30 排除工資=22500（產假、職災醫療、普通傷病假、留職停薪等期間）",
+    "• 工作日數=120（按日／時／件計酬者，套用 60% 保障）",
+    "",
+    "資遣費試算也可以直接帶工資，例如：",
+    "試算資遣費 工資=45000,45000,46000,45000,48000,45000 到職日=2015/03/01 離職日=2026/10/31",
+  ].join("\n");
+}
@@ -0,0 +1,203 @@
+// src/citations.js
+// 負責：檢查 AI 回答裡引用的條號（第X條）：條號是否在該法範圍內、本地有沒有這條、
+//       條文主題跟引用那一句的內容對不對得上；有問題的句子標上「⚠️ 引用待確認」。
+// 每次檢查的結果會累計起來，用來觀察 AI 亂引條文的比例（/status 可看）。
+
+import {
+  articleLabel,
+  articleShortTitle,
+  extractArticleRefs,
+  findArticleByNumber,
+  getLaw,
+  getLaws,
+} from "./articles.js";
+import { tokenize } from "./search.js";
+
+export const CITATION_MARKER = "⚠️ 引用待確認";
+
+// 句子至少要有幾個詞（bigram）才比對主題；太短的句子（例如只寫條號）不判斷
+const MIN_CLAIM_TOKENS = 3;
+
+// 幾乎每條都會出現的詞，不拿來判斷主題
+const GENERIC_TOKENS = new Set([
+  "勞工",
+  "雇主",
+  "規定",
+  "依法",
+  "法規",
+  "條文",
+  "相關",
+  "應依",
+  "可以",
+  "如果",
+  "需要",
+  "公司",
+  "員工",
+  "依照",
+  "根據",
+]);
+
+const STATUSES = ["ok", "unverified", "outOfRange", "notFound", "mismatch"];
+// 會讓句子標上待確認的狀態
+const FLAGGED = new Set(["outOfRange", "notFound", "mismatch"]);
+
+const totals = {
+  answers: 0,
+  flaggedAnswers: 0,
+  citations: 0,
+  ok: 0,
+  unverified: 0,
+  outOfRange: 0,
+  notFound: 0,
+  mismatch: 0,
+};
+
+function topicTokens(text) {
+  return new Set(
+    tokenize(text).filter(
+      (t) => t.length > 1 && !GENERIC_TOKENS.has(t) && !/^[0-9a-z]+$/.test(t)
+    )
+  );
+}
+
+// 引用那一句去掉條號、法規名稱、來源編號，剩下的才是要比對的內容
+function claimText(line) {
+  const names = getLaws()
+    .flatMap((law) => [law.name, law.short, ...(law.aliases || [])])
+    .filter(Boolean);
+  let s = line
+    .replace(/\[[AF]\d+\]/g, " ")
+    .replace(
+      /第\s*[0-9０-９零〇一二兩三四五六七八九十百]+\s*條(?:之\s*\S)?/g,
+      " "
+    );
+  for (const name of names) s = s.split(name).join(" ");
+  return s;
+}
+
+// 本地條文從第 1 條到最後一條都有 → 本地沒有的條號就是不存在
+const completeCache = new Map();
+function isLawComplete(law) {
+  if (!law?.lastArticle) return false;
+  if (completeCache.get(law.id)?.articles === law.articles) {
+    return completeCache.get(law.id).complete;
+  }
+  let complete = true;
+  for (let n = 1; n <= law.lastArticle; n++) {
+    if (!findArticleByNumber(n, law.id)) {
+      complete = false;
+      break;
+    }
+  }
+  completeCache.set(law.id, { articles: law.articles, complete });
+  return complete;
+}
+
+// 單一引用：{ ref, status, reason }
+// status：ok / unverified（本地沒資料，無法比對）/ outOfRange / notFound / mismatch
+function checkCitation(ref, claim, grounded) {
+  const law = getLaw(ref.law);
+  const no = parseInt(ref.id, 10);
+  if (law?.lastArticle && (no < 1 || no > law.lastArticle)) {
+    return {
+      ref,
+      status: "outOfRange",
+      reason: `超出${law.name}的條號範圍（最後一條是第 ${law.lastArticle} 條）`,
+    };
+  }
+  // RAG 提供給 AI 的條文，檢索時已經比對過主題
+  if (grounded.has(`${ref.law}:${ref.id}`)) return { ref, status: "ok" };
+
+  const art = findArticleByNumber(ref.id, ref.law);
+  if (!art) {
+    return isLawComplete(law)
+      ? { ref, status: "notFound", reason: "查無此條" }
+      : { ref, status: "unverified" };
+  }
+
+  const claimTokens = topicTokens(claim);
+  if (claimTokens.size < MIN_CLAIM_TOKENS) return { ref, status: "ok" };
+  const articleTokens = topicTokens(
+    [art.title, ...(art.keywords || []), art.summary, art.text].join(" ")
+  );
+  const overlap = [...claimTokens].some((t) => articleTokens.has(t));
+  return overlap
+    ? { ref, status: "ok" }
+    : {
+        ref,
+        status: "mismatch",
+        reason: `本條是「${articleShortTitle(art)}」，跟引用的內容對不上`,
+      };
+}
+
+function recordStats(checks) {
+  const stats = { total: checks.length };
+  for (const key of STATUSES) {
+    stats[key] = checks.filter((c) => c.status === key).length;
+    totals[key] += stats[key];
+  }
+  const flagged = stats.outOfRange + stats.notFound + stats.mismatch;
+  totals.answers += 1;
+  totals.citations += stats.total;
+  if (flagged) totals.flaggedAnswers += 1;
+
+  const rate = ((totals.flaggedAnswers / totals.answers) * 100).toFixed(1);
+  console.log(
+    `[INFO] 引用檢查：${stats.total} 處（通過 ${stats.ok}、無本地資料 ${stats.unverified}、範圍外 ${stats.outOfRange}、查無此條 ${stats.notFound}、主題不符 ${stats.mismatch}）；累計 ${totals.answers} 則回答，${rate}% 有待確認引用`
+  );
+  return stats;
+}
+
+// 檢查 AI 回答的條號引用
+// sources：RAG 提供給 AI 的參考資料（這些條文直接視為通過）
+// 回傳 { answer（已加標記與說明）, checks, stats, verifiedRefs（可以附連結的條文） }
+export function verifyCitations(answer, { sources = [] } = {}) {
+  const grounded = new Set(
+    sources.filter((s) => s.type === "article").map((s) => `${s.law}:${s.id}`)
+  );
+
+  const checks = [];
+  const lines = String(answer || "")
+    .split("\n")
+    .map((line) => {
+      const refs = extractArticleRefs(line);
+      if (refs.length === 0) return line;
+      const claim = claimText(line);
+      const lineChecks = refs.map((ref) => checkCitation(ref, claim, grounded));
+      checks.push(...lineChecks);
+      return lineChecks.some((c) => FLAGGED.has(c.status))
+        ? `${line}（${CITATION_MARKER}）`
+        : line;
+    });
+
+  const stats = recordStats(checks);
+
+  // 同一條被引用多次：只要有一處有問題就不附連結，說明只列一次
+  const flaggedKeys = new Set();
+  const notes = [];
+  for (const c of checks.filter((c) => FLAGGED.has(c.status))) {
+    const key = `${c.ref.law}:${c.ref.id}`;
+    if (flaggedKeys.has(key)) continue;
+    flaggedKeys.add(key);
+    notes.push(`• ${articleLabel(c.ref.id, c.ref.law)}：${c.reason}`);
+  }
+  const verifiedRefs = checks
+    .filter((c) => !flaggedKeys.has(`${c.ref.law}:${c.ref.id}`))
+    .map((c) => c.ref)
+    .filter(
+      (ref, i, arr) =>
+        arr.findIndex((r) => r.law === ref.law && r.id === ref.id) === i
+    );
+
+  let text = lines.join("\n");
+  if (notes.length) {
+    text += `\n\n${CITATION_MARKER}（請以官方條文為準）：\n${notes.join("\n")}`;
+  }
+  return { answer: text, checks, stats, verifiedRefs };
+}
+
+// 累計的引用檢查統計（給 /status 使用）
+export function getCitationStats() {
+  const rate = totals.answers ? totals.flaggedAnswers / totals.answers : 0;
+  return { ...totals, flaggedRate: Math.round(rate * 1000) / 1000 };
+}
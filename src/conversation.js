@@ -0,0 +1,112 @@
+// src/conversation.js
+// 負責：每個來源（userId / groupId / roomId）的對話記憶：
+//       AI 問答的前幾輪（追問「那如果是休息日呢？」時一起送給 AI），以及最後看的條文（「下一條」「白話一點」用）。
+// 記憶閒置過久自動失效；AI 問答只保留 token 預算內最近的幾輪；輸入「重新開始」可清除。
+
+const SESSION_TTL_MS = 30 * 60 * 1000;
+// 送給 AI 的歷史問答上限（粗估 token）
+const MAX_HISTORY_TOKENS = 1200;
+// 單則訊息存進記憶的字數上限（AI 回答很長時只留前段）
+const MAX_TURN_CHARS = 600;
+
+const sessions = new Map(); // key → { turns: [{ role, content, tokens }], article, last, updatedAt }
+
+// 定期清掉過期的對話（unref：不阻擋程式結束）
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, s] of sessions) {
+    if (now - s.updatedAt > SESSION_TTL_MS) sessions.delete(key);
+  }
+}, 60 * 1000).unref();
+
+// 粗估 token：中日韓文字約 1 字 1 token，英數約 4 字 1 token
+export function estimateTokens(text) {
+  let n = 0;
+  for (const ch of String(text || "")) {
+    n += ch.codePointAt(0) > 0x2e80 ? 1 : 0.25;
+  }
+  return Math.ceil(n);
+}
+
+// 「重新開始」「清除對話」
+export function isResetCommand(text) {
+  return /^(重新開始|重來|清除對話|清除記憶|新話題)$/.test(
+    String(text || "").trim()
+  );
+}
+
+// 取得（必要時建立）對話；過期的當作新對話
+function sessionFor(key, { create = false } = {}) {
+  let s = sessions.get(key);
+  if (s && Date.now() - s.updatedAt > SESSION_TTL_MS) {
+    sessions.delete(key);
+    s = null;
+  }
+  if (!s && create) {
+    s = { turns: [], article: null, last: null, updatedAt: Date.now() };
+    sessions.set(key, s);
+  }
+  return s;
+}
+
+function clip(text) {
+  const s = String(text || "").trim();
+  return s.length > MAX_TURN_CHARS ? `${s.slice(0, MAX_TURN_CHARS)}…` : s;
+}
+
+// 記下一輪 AI 問答；超過 token 預算就從最舊的一輪開始丟
+export function recordAiTurn(key, question, answer) {
+  if (!key) return;
+  const s = sessionFor(key, { create: true });
+  for (const [role, content] of [
+    ["user", clip(question)],
+    ["assistant", clip(answer)],
+  ]) {
+    s.turns.push({ role, content, tokens: estimateTokens(content) });
+  }
+  let total = s.turns.reduce((n, t) => n + t.tokens, 0);
+  while (total > MAX_HISTORY_TOKENS && s.turns.length > 2) {
+    total -= s.turns[0].tokens + s.turns[1].tokens;
+    s.turns.splice(0, 2);
+  }
+  s.last = { type: "ai", question: clip(question) };
+  s.updatedAt = Date.now();
+}
+
+// 給 OpenAI 的歷史訊息：[{ role, content }]
+export function historyMessages(key) {
+  const s = key ? sessionFor(key) : null;
+  return s ? s.turns.map(({ role, content }) => ({ role, content })) : [];
+}
+
+// 上一個 AI 問題（檢索參考資料時跟追問合在一起查）
+export function lastAiQuestion(key) {
+  const s = key ? sessionFor(key) : null;
+  const lastUser = s?.turns.filter((t) => t.role === "user").pop();
+  return lastUser ? lastUser.content : "";
+}
+
+// 記下最後看的條文 { law, id }
+export function rememberArticle(key, ref) {
+  if (!key || !ref) return;
+  const s = sessionFor(key, { create: true });
+  s.article = { law: ref.law, id: ref.id };
+  s.last = { type: "article", ref: s.article };
+  s.updatedAt = Date.now();
+}
+
+// 最後看的條文（中間問過 AI 也還記得）
+export function lastArticle(key) {
+  const s = key ? sessionFor(key) : null;
+  return s?.article || null;
+}
+
+// 最後一次互動：{ type: "article", ref } / { type: "ai", question } / null
+export function lastInteraction(key) {
+  const s = key ? sessionFor(key) : null;
+  return s?.last || null;
+}
+
+export function resetConversation(key) {
+  return sessions.delete(key);
+}
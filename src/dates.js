@@ -0,0 +1,81 @@
+// src/dates.js
+// 負責：試算器共用的日期工具（解析使用者輸入的日期、年資計算）。
+// 一律使用 UTC 午夜的 Date，避免時區造成差一天。
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2021/03/15"、"2021-3-15"、"2021.03.15"、"110/3/15"（民國年）→ Date；無法辨識回傳 null
+export function parseDate(text) {
+  if (!text) return null;
+  const s = String(text)
+    .trim()
+    .replace(/[０-９]/g, (d) => String.fromCharCode(d.charCodeAt(0) - 65248));
+  const m = s.match(/^(\d{2,4})[/\-.年](\d{1,2})[/\-.月](\d{1,2})日?$/);
+  if (!m) return null;
+
+  let y = parseInt(m[1], 10);
+  const mo = parseInt(m[2], 10);
+  const d = parseInt(m[3], 10);
+  if (y < 1911) y += 1911; // 民國年
+
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  // 擋掉 2/30 之類會被 Date 自動進位的日期
+  if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return null;
+  return date;
+}
+
+// 今天（台灣時間）的 UTC 午夜
+export function today() {
+  const now = new Date(Date.now() + 8 * 60 * 60 * 1000);
+  return new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+}
+
+// 2021/03/15
+export function formatDate(date) {
+  const y = date.getUTCFullYear();
+  const m = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const d = String(date.getUTCDate()).padStart(2, "0");
+  return `${y}/${m}/${d}`;
+}
+
+// 加月份；月底溢位時取當月最後一天（8/31 + 6 個月 → 2/28）
+export function addMonths(date, months) {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(date.getUTCDate(), lastDay)));
+}
+
+export function addYears(date, years) {
+  return addMonths(date, years * 12);
+}
+
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// 相差天數（to - from）
+export function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+// 年資：{ years, months, days }（滿幾年又幾個月又幾天）
+export function serviceLength(from, to) {
+  let months =
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 12 +
+    (to.getUTCMonth() - from.getUTCMonth());
+  if (addMonths(from, months) > to) months -= 1;
+  const days = daysBetween(addMonths(from, months), to);
+  return { years: Math.floor(months / 12), months: months % 12, days };
+}
+
+// 「5 年 7 個月」
+export function formatServiceLength({ years, months, days }) {
+  const parts = [];
+  if (years) parts.push(`${years} 年`);
+  if (months) parts.push(`${months} 個月`);
+  if (!years && !months) parts.push(`${days} 天`);
+  return parts.join(" ");
+}
@@ -1,75 +1,69 @@
 // src/faqs.js
 // 勞基法常見問題 + 簡單關鍵字比對
+// 題庫內容放在 src/data/faqs.json，改字不用改程式
 
-const faqs = [
-  {
-    id: "work_hours_basic",
-    keywords: ["工時", "上班時間", "每天上班", "每週上班", "超時"],
-    question: "正常工時上限是多少？",
-    answer:
-      "一般情況下，勞基法規定正常工時為『每天不超過 8 小時，每週不超過 40 小時』。公司如果要安排超過這個上限，通常就會涉及加班，必須另外依規定給加班費。",
-    articles: ["勞基法第 30 條"],
-    reference: "勞動部勞動基準法條文查詢（正常工作時間相關規定）。",
-  },
-  {
-    id: "overtime_pay",
-    keywords: ["加班", "加班費", "加班時數", "延長工時"],
-    question: "加班費大概怎麼算？",
-    answer:
-      "一般來說，在法定正常工時之外的延長工時（加班），雇主應依勞基法給付加班費，平日加班至少以平常工資的 1.33 倍起算，超過一定時數後會再提高倍率；休息日出勤也有不同計算方式。實際計算需要看工資結構與公司制度。",
-    articles: ["勞基法第 24 條", "勞基法第 32 條"],
-    reference:
-      "建議向勞工局或勞動部網站查詢『加班費試算』或相關說明文件，以取得最新規定。",
-  },
-  {
-    id: "annual_leave",
-    keywords: ["特休", "年假", "特別休假", "休假天數"],
-    question: "特休（特別休假）怎麼算？",
-    answer:
-      "勞工在同一雇主處工作滿一定年資後，依法可以享有特別休假，例如工作滿 1 年有 3 天、2 年有 7 天等。實際天數會隨年資增加而不同，且若是中途離職或未休完，雇主通常需要依法給予折現或依規定處理。",
-    articles: ["勞基法第 38 條"],
-    reference: "可以參考勞動部整理的『特別休假表』或線上特休天數試算工具。",
-  },
-  {
-    id: "severance",
-    keywords: ["資遣", "遣散費", "非自願離職", "被資遣", "資遣費"],
-    question: "被資遣時，遣散費怎麼計算？",
-    answer:
-      "若勞工是依勞基法規定遭資遣（非自願離職），雇主通常須依年資給予遣散費。新制勞退下，一般是以平均工資乘以一定年資倍數。實務上還要看勞退新舊制、年資計算方式與是否符合合法資遣事由。",
-    articles: ["勞基法第 11 條", "勞基法第 17 條 等相關條文"],
-    reference: "建議同時參考勞動部『非自願離職』與『遣散費試算』相關資訊。",
-  },
-
-  {
-    id: "layoff_notice_period",
-    keywords: ["資遣", "預告", "多久前", "幾天前", "提前告知", "預告期"],
-    question: "公司資遣員工，需要多久前預告？",
-    answer: [
-      "依《勞動基準法》第 16 條，雇主若依法資遣勞工，要依年資長短提前預告：",
-      "",
-      "• 未滿 3 個月：目前法規無強制預告天數（但仍應注意合理說明與程序）。",
-      "• 滿 3 個月未滿 1 年：至少 **10 日前** 預告。",
-      "• 滿 1 年未滿 3 年：至少 **20 日前** 預告。",
-      "• 滿 3 年以上：至少 **30 日前** 預告。",
-      "",
-      "若雇主沒有提前預告，就應改發相當天數的「預告工資」。預告期間內，勞工也可以請假去找工作（求職假），工資照給。",
-      "",
-      "⚠️ 本說明為一般性整理，實務上仍建議就具體情況向勞工局或專業法律服務諮詢。",
-    ].join("\n"),
-    articles: ["勞基法第 16 條"],
-    reference: "整理自勞動基準法第 16 條關於資遣預告期間與預告工資之規定。",
-  },
-
-  {
-    id: "resign_notice",
-    keywords: ["離職", "預告", "離職預告", "提前告知", "提離職"],
-    question: "我要離職，需要提前多久告知公司？",
-    answer:
-      "勞工主動提出離職時，勞基法並沒有像資遣那樣明文規定『一定要提前幾天』，但多數情況下會參考勞動契約或公司內規。相對地，如果是雇主要終止勞動契約（資遣），就有明確的預告期間規定，例如工作 3 個月以上 1 年未滿需提前 10 日等。",
-    articles: ["勞基法第 15 條", "勞基法第 16 條（雇主終止契約預告期間）"],
-    reference: "若有爭議，建議保留溝通紀錄並向勞工局或相關機關諮詢。",
-  },
-];
+import fs from "fs";
+import path from "path";
+import {
+  articleLabel,
+  articleShortTitle,
+  findArticleByNumber,
+  lawUrl,
+  parseArticleRef,
+} from "./articles.js";
+import { validateFaqsData, assertValid } from "./validate.js";
+
+// FAQ 的 articles 欄位放條號（例："17"、"84-1"；其他法規加 id 前綴，如 "lpa:14"）→ 對應條文
+function resolveArticleRef(ref) {
+  const parsed = parseArticleRef(ref);
+  return parsed ? findArticleByNumber(parsed.id, parsed.law) : null;
+}
+
+// 載入 JSON 檔（格式錯誤或驗證失敗直接丟錯）
+const faqsPath = path.resolve("./src/data/faqs.json");
+let faqs = [];
+let faqsMeta = {};
+
+// 讀檔 + 驗證，不動到目前使用中的題庫
+// resolveArticle 可指定用哪一份條文資料檢查引用（重新載入時用新版條文）
+export function loadFaqsData({ resolveArticle = resolveArticleRef } = {}) {
+  const jsonData = fs.readFileSync(faqsPath, "utf8");
+  const parsed = JSON.parse(jsonData);
+  assertValid("faqs.json", validateFaqsData(parsed, { resolveArticle }));
+  // answer 可寫成逐行陣列，載入時併成一段文字
+  return {
+    faqs: parsed.faqs.map((faq) => ({
+      ...faq,
+      answer: Array.isArray(faq.answer) ? faq.answer.join("\n") : faq.answer,
+    })),
+    meta: parsed.meta || {},
+  };
+}
+
+export function setFaqsData(data) {
+  faqs = data.faqs;
+  faqsMeta = data.meta;
+  console.log(
+    `[INFO] 已載入 ${faqs.length} 題 FAQ（版本 ${
+      faqsMeta.version || "未標示"
+    }）`
+  );
+}
+
+try {
+  setFaqsData(loadFaqsData());
+} catch (e) {
+  console.error("[ERROR] 無法載入 faqs.json：", e.message);
+  throw e;
+}
+
+export function getFaqs() {
+  return faqs;
+}
+
+export function getFaqsMeta() {
+  return faqsMeta;
+}
 
 // 簡單文字正規化：去掉空白、轉小寫
 function normalize(text) {
@@ -77,15 +71,12 @@ function normalize(text) {
   return text.toLowerCase().replace(/\s+/g, "");
 }
 
-// 找出最相關的一題 FAQ
-// questionText = 使用者輸入文字
-export function findBestFaq(questionText) {
-  if (!questionText) return null;
+// FAQ 依關鍵字命中數排序：[{ faq, score }]，只回傳至少命中 minScore 個關鍵字的題目
+export function rankFaqs(questionText, { limit = 3, minScore = 1 } = {}) {
+  if (!questionText) return [];
 
   const text = normalize(questionText);
-
-  let best = null;
-  let bestScore = 0;
+  const ranked = [];
 
   for (const faq of faqs) {
     let score = 0;
@@ -101,19 +92,32 @@ export function findBestFaq(questionText) {
       }
     }
 
-    if (score > bestScore) {
-      bestScore = score;
-      best = faq;
-    }
+    if (score >= minScore) ranked.push({ faq, score });
   }
 
+  // 同分保留題庫順序
+  ranked.sort((a, b) => b.score - a.score);
+  return ranked.slice(0, limit);
+}
+
+// 找出最相關的一題 FAQ
+// questionText = 使用者輸入文字
+export function findBestFaq(questionText) {
   // ⚠️ 重點在這裡：至少要命中 2 個關鍵字才算 FAQ 有中
-  if (!best || bestScore < 2) {
-    return null;
-  }
+  const [best] = rankFaqs(questionText, { limit: 1, minScore: 2 });
+  return best ? best.faq : null;
+}
 
-  return best;
+// 相關法條一行：法規條號 + 標題 + 官方連結
+function formatRelatedArticle(ref) {
+  const parsed = parseArticleRef(ref);
+  if (!parsed) return `• 第 ${ref} 條`;
+  const { law, id } = parsed;
+  const art = findArticleByNumber(id, law);
+  const title = art ? `（${articleShortTitle(art)}）` : "";
+  return `• ${articleLabel(id, law)}${title}：${lawUrl(id, law)}`;
 }
+
 // 把 FAQ 組成一段適合在 LINE 顯示的文字
 export function formatFaqReply(userText, faq) {
   return [
@@ -127,7 +131,7 @@ export function formatFaqReply(userText, faq) {
     faq.answer,
     "",
     "📖 相關法條（僅供參考）：",
-    faq.articles.join("、"),
+    ...faq.articles.map((id) => formatRelatedArticle(id)),
     "",
     faq.reference ? `ℹ️ 延伸說明：${faq.reference}` : "",
     "",
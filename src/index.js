@@ -1,32 +1,119 @@
 // src/index.js
-import OpenAI from "openai";
 import express from "express";
 import { middleware, Client } from "@line/bot-sdk";
 import dotenv from "dotenv";
 import { findBestFaq, formatFaqReply } from "./faqs.js";
 import {
-  extractArticleNumber,
+  articleId,
+  articleLabel,
+  articleShortTitle,
+  articleTextBlocks,
+  compareArticleIds,
+  extractArticleList,
+  extractArticleRef,
+  extractArticleRefs,
   findArticleByNumber,
   findArticleByKeyword,
   formatArticleReply,
+  getLaws,
+  lawName,
+  lawShortName,
+  lawUrl,
+  nextArticleId,
+  prevArticleId,
+  parseArticleRef,
 } from "./articles.js";
+import {
+  formatHistoryReply,
+  formatVersionReply,
+  isHistoryQuery,
+  isVersionQuery,
+  parseAsOfQuery,
+} from "./articleHistory.js";
+import { searchArticles } from "./search.js";
+import { createLlmProvider } from "./llm.js";
+import { createAnswerCache } from "./answerCache.js";
+import { getCitationStats, verifyCitations } from "./citations.js";
+import {
+  historyMessages,
+  isResetCommand,
+  lastAiQuestion,
+  lastArticle,
+  lastInteraction,
+  recordAiTurn,
+  rememberArticle,
+  resetConversation,
+} from "./conversation.js";
+import {
+  GROUNDING_INSTRUCTIONS,
+  buildContextBlock,
+  formatSourceList,
+  retrieveSources,
+  stripSourceKeys,
+} from "./retrieval.js";
+import { buildOtHelpText, computeOtPay, parseOtArgs } from "./overtime.js";
+import {
+  buildAnnualLeaveHelpText,
+  computeAnnualLeave,
+  parseAnnualLeaveArgs,
+} from "./annualLeave.js";
+import {
+  buildLeaveCatalogueText,
+  buildLeavePayHelpText,
+  computeLeavePay,
+  findLeaveType,
+  formatLeaveTypeReply,
+  matchLeaveQuestion,
+  parseLeavePayArgs,
+} from "./leaveTypes.js";
+import {
+  buildAverageWageBreakdown,
+  buildAverageWageHelpText,
+  computeAverageWage,
+  parseAverageWageArgs,
+} from "./averageWage.js";
+import {
+  buildSeveranceHelpText,
+  computeSeverance,
+  parseSeveranceArgs,
+} from "./severance.js";
+import {
+  buildPayslipHelpText,
+  checkPayslip,
+  parsePayslipArgs,
+} from "./payslip.js";
+import {
+  buildRetirementHelpText,
+  computeRetirement,
+  parseRetirementArgs,
+} from "./retirement.js";
+import {
+  buildScheduleHelpText,
+  computeScheduleCheck,
+  parseScheduleArgs,
+} from "./schedule.js";
+import {
+  handleOtWizard,
+  hasOtWizard,
+  startOtWizard,
+} from "./overtimeWizard.js";
+import {
+  getKnowledgeStatus,
+  reloadKnowledge,
+  watchKnowledge,
+} from "./knowledge.js";
 
 dotenv.config();
 
 const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || "";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
 
-/* ======================= OpenAI ======================= */
+/* ======================= AI 服務（LLM provider） ======================= */
 
-const hasOpenAI = !!process.env.OPENAI_API_KEY;
-let openai = null;
-
-if (hasOpenAI) {
-  // 也可在這裡全域 timeout：new OpenAI({ apiKey, timeout: 12000 })
-  openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  console.log("[INFO] OpenAI 已啟用");
-} else {
-  console.warn("[WARN] 尚未設定 OPENAI_API_KEY，將不會呼叫 OpenAI API");
-}
+// 供應端與模型由環境變數決定（LLM_PROVIDER / LLM_MODEL，見 src/llm.js）；沒設定時為 null
+const llm = createLlmProvider();
+// 重複問題直接用快取的回答（ANSWER_CACHE，見 src/answerCache.js）
+const answerCache = llm ? createAnswerCache() : null;
 
 /* ======================= LINE ======================= */
 
@@ -54,39 +141,31 @@ function normalize(text) {
   return text.toLowerCase().replace(/\s+/g, "");
 }
 
-// 全國法規資料庫：勞基法條文連結
-function lawUrl(no) {
-  const n = parseInt(no, 10);
-  if (!n || n <= 0)
-    return "https://law.moj.gov.tw/LawClass/LawAll.aspx?pcode=N0030001";
-  return `https://law.moj.gov.tw/LawClass/LawSingle.aspx?pcode=N0030001&flno=${n}`;
-}
-
-// 從文字中抓到「第X條」
-function extractLawNumbers(text) {
-  const nums = new Set();
-  const re = /第\s*([0-9]{1,3})\s*條/g;
-  let m;
-  while ((m = re.exec(text)) !== null) {
-    const n = parseInt(m[1], 10);
-    if (n > 0 && n < 1000) nums.add(n);
-  }
-  return Array.from(nums);
-}
-
-// 尾段自動附條文連結
-function appendLawLinks(answer) {
-  const nums = extractLawNumbers(answer);
-  if (nums.length === 0) return answer;
-
-  const links = nums
-    .sort((a, b) => a - b)
-    .map((n) => `• 第 ${n} 條：${lawUrl(n)}`)
+// 尾段自動附條文連結（「第24條」「第三十八條」「第84條之1」「性平法第15條」皆可）
+// 依法規清單順序分組，同一部法規內依條號排序；refs 可傳入檢查過的引用，只替這些附連結
+function appendLawLinks(answer, refs = extractArticleRefs(answer)) {
+  if (refs.length === 0) return answer;
+
+  const lawOrder = getLaws().map((law) => law.id);
+  const links = refs
+    .sort(
+      (a, b) =>
+        lawOrder.indexOf(a.law) - lawOrder.indexOf(b.law) ||
+        compareArticleIds(a.id, b.id)
+    )
+    .map(
+      (ref) => `• ${articleLabel(ref.id, ref.law)}：${lawUrl(ref.id, ref.law)}`
+    )
     .join("\n");
 
   return `${answer}\n\n🔗 參考條文：\n${links}`;
 }
 
+// 查條文的指令文字：「查勞基法第24條」「查性平法第15條」
+function articleCommand(id, lawId) {
+  return `查${articleLabel(id, lawId, { short: true })}`;
+}
+
 // LINE 訊息長度保護（約 5000 字內，保守取 4500）
 function ensureLineLength(s, limit = 4500) {
   if (!s) return s;
@@ -123,6 +202,23 @@ async function replyText(replyToken, text, suggestions = []) {
   }
 }
 
+// 一次回覆多則純文字（最多 5 則，Quick Reply 掛在最後一則）
+async function replyTexts(replyToken, texts, suggestions = []) {
+  try {
+    const messages = texts
+      .slice(0, 5)
+      .map((text) => ({ type: "text", text: ensureLineLength(text) }));
+    const items = toQuickReplyItems(suggestions);
+    if (items.length) messages[messages.length - 1].quickReply = { items };
+    await client.replyMessage(replyToken, messages);
+  } catch (err) {
+    console.error(
+      "[ERROR] replyMessage 失敗：",
+      err?.originalError?.response?.data || err
+    );
+  }
+}
+
 // 推播純文字（帶可選 Quick Reply）
 async function pushText(to, text, suggestions = []) {
   try {
@@ -147,7 +243,7 @@ function getSourceId(event) {
 /* ======================= 動態 Quick Reply 建議 ======================= */
 
 function buildSuggestions(userText, ctx = {}) {
-  // ctx 可帶：{ branch, articleNo, matchedArticle, matchedFaq, ai: {forced:bool, mode:"concise"|"detailed"} }
+  // ctx 可帶：{ branch, articleRef: {law, id}, matchedArticle, matchedFaq, ai: {forced:bool, mode:"concise"|"detailed"} }
   const s = [];
   const t = (userText || "").toLowerCase();
 
@@ -159,32 +255,67 @@ function buildSuggestions(userText, ctx = {}) {
     s.push({ label: "試算加班費", text: "試算加班費" });
     s.push({ label: "查第24條", text: "查勞基法第24條" });
   }
+  if (any("班表", "排班", "輪班", "變形工時")) {
+    s.push({ label: "檢查班表", text: "檢查班表" });
+    s.push({ label: "查第34條", text: "查勞基法第34條" });
+  }
   if (any("特休", "年假", "休假")) {
+    s.push({ label: "試算特休", text: "試算特休" });
     s.push({ label: "查第38條", text: "查勞基法第38條" });
     s.push({ label: "AI 白話解釋特休", text: "ai/特休怎麼算" });
   }
+  if (any("請假", "病假", "事假", "生理假", "產假", "婚假", "喪假", "陪產")) {
+    s.push({ label: "試算請假扣薪", text: "試算請假扣薪" });
+    s.push({ label: "請假規定", text: "請假規定" });
+  }
   if (any("資遣", "離職", "遣散")) {
+    s.push({ label: "試算資遣費", text: "試算資遣費" });
     s.push({ label: "查資遣條文", text: "查勞基法第11條" });
     s.push({ label: "AI 問通知期", text: "ai/公司資遣多久前要通知" });
   }
-  if (any("薪資", "工資", "勞保", "投保")) {
+  if (any("退休")) {
+    s.push({ label: "試算退休金", text: "試算退休金" });
+    s.push({ label: "查第53條", text: "查勞基法第53條" });
+  }
+  if (any("平均工資")) {
+    s.push({ label: "試算平均工資", text: "試算平均工資" });
+  }
+  if (any("薪資", "工資", "勞保", "投保", "扣薪", "最低工資")) {
+    s.push({ label: "檢查薪資", text: "檢查薪資" });
     s.push({ label: "AI 詢問薪資保障", text: "ai/雇主可否低報薪資" });
   }
 
   // 命中法條時：白話解釋 / 看原文 / 相鄰條
-  const no = ctx.articleNo || ctx.matchedArticle?.no;
-  if (no) {
-    s.push({ label: "AI 白話解釋這條", text: `ai/白話解釋 勞基法第${no}條` });
-    s.push({ label: "看官方條文", text: `查勞基法第${no}條` });
-    const next = Number(no) + 1;
-    if (next <= 86)
-      s.push({ label: `看第${next}條`, text: `查勞基法第${next}條` });
+  const ref =
+    ctx.articleRef ||
+    (ctx.matchedArticle
+      ? { law: ctx.matchedArticle.law, id: articleId(ctx.matchedArticle) }
+      : null);
+  if (ref) {
+    const label = articleLabel(ref.id, ref.law, { short: true });
+    s.push({ label: "AI 白話解釋這條", text: `ai/白話解釋 ${label}` });
+    s.push({ label: "看原文", text: `原文 ${label}` });
+    if (findArticleByNumber(ref.id, ref.law)?.versions) {
+      s.push({ label: "修法歷程", text: `${label}修法歷程` });
+    }
+    const next = nextArticleId(ref.id, ref.law);
+    if (next) {
+      s.push({ label: `看第${next}條`, text: articleCommand(next, ref.law) });
+    }
   }
 
-  // FAQ 命中時
-  if (ctx.matchedFaq && !no) {
+  // FAQ 命中時：相關條文按鈕排最前面
+  if (ctx.matchedFaq && !ref) {
+    const related = (ctx.matchedFaq.articles || [])
+      .map((r) => parseArticleRef(r))
+      .filter(Boolean)
+      .slice(0, 2)
+      .map(({ law, id }) => ({
+        label: `看第${id}條`,
+        text: articleCommand(id, law),
+      }));
+    s.unshift(...related);
     s.push({ label: "AI 換個說法", text: `ai/${userText}` });
-    s.push({ label: "試試條文搜尋", text: "第 24 條" });
   }
 
   // AI 模式
@@ -210,11 +341,11 @@ function buildSuggestions(userText, ctx = {}) {
     s.push({ label: "功能選單", text: "功能" });
   }
 
-  // 去重 + 最多 4 顆
+  // 去重（送出文字相同視為同一顆）+ 最多 4 顆
   const seen = new Set();
   const out = [];
   for (const item of s) {
-    const key = `${item.label}|${item.text}`;
+    const key = item.text;
     if (seen.has(key)) continue;
     seen.add(key);
     out.push(item);
@@ -242,11 +373,20 @@ function buildHelpMessage() {
     "   - 例：查勞基法第30條",
     "   - 例：勞基法24條",
     "   - 例：第 38 條",
+    "   - 例：第24條跟第32條差在哪（多條一起看）",
+    "   - 例：查勞基法第30~32條（範圍查詢）",
+    "   - 例：性平法第15條、勞退條例第14條、職安法第6條、請假規則第4條",
+    "   - 例：原文 勞基法第24條（看條文原文，需先匯入官方資料）",
+    "   - 例：第38條修法歷程、第24條 2017年版（查當時施行的版本）",
     "",
     "3️⃣ 條文關鍵字搜尋（由系統試著配對條文）",
     "   - 例：最低工資怎麼訂 → 可能對應第21條",
     "   - 例：特休沒休完要不要折現 → 可能對應第38條",
     "",
+    "🔎 條文全文搜尋（列出最相關的幾條）",
+    "   - 例：搜尋 產假",
+    "   - 例：找條文 競業禁止",
+    "",
     "4️⃣ 類別示範指令",
     "   - 加班相關：顯示加班類常見問題範例",
     "   - 特休相關：顯示特休／休假類範例",
@@ -255,9 +395,42 @@ function buildHelpMessage() {
     "5️⃣ 強制使用 AI 回答",
     "   - 例：ai/公司可以強迫我加班嗎？（精簡）",
     "   - 例：ai/詳細 公司資遣多久前要通知？（進階）",
+    "   - 可以接著追問，例：ai/那如果是休息日呢？（我會記得前幾輪對話）",
+    "",
+    "💬 對話記憶",
+    "   - 下一條／上一條：接著看剛才那條的前後條文",
+    "   - 白話一點：把剛才的條文或 AI 回答講得更白話",
+    "   - 重新開始：清除對話記憶（閒置 30 分鐘也會自動清除）",
     "",
     "🔢 加班費試算器",
     "   - 例：試算加班費 時薪=183 平日=2 休息日=3",
+    "   - 例：試算加班費 月薪=36000 平日=2（月薪自動換算時薪）",
+    "",
+    "🏖️ 特休試算器",
+    "   - 例：試算特休 到職日=2021/03/15",
+    "   - 例：試算特休 到職日=2021/03/15 離職日=2026/10/31 已休=3 月薪=36000",
+    "",
+    "🗓️ 請假規定 / 請假扣薪試算器",
+    "   - 例：請假規定（各假別天數與給薪）、請假規定 病假",
+    "   - 例：試算請假扣薪 月薪=36000 病假=3 事假=4h 已請=病假:28",
+    "",
+    "👴 退休金試算器（資格、舊制基數、新制專戶）",
+    "   - 例：試算退休金 出生日=1968/05/01 到職日=1996/03/01 平均工資=52000 提繳工資=50600",
+    "",
+    "🗓️ 班表檢查（工時、換班間隔、例假）",
+    "   - 例：檢查班表 一 09-18, 二 09-21, 三 休, 四 22-07, 五 09-18, 六 休, 日 休",
+    "   - 例：檢查班表 …（貼 2 週）… 變形=2週",
+    "",
+    "🔍 薪資檢查（最低工資、扣款、加班費）",
+    "   - 例：檢查薪資 月薪=28000 扣款=勞保:700,賠償:2000",
+    "   - 例：檢查薪資 時薪=190 年月=2025/03 平日=2,2 加班費=600",
+    "",
+    "🧾 平均工資試算器",
+    "   - 例：試算平均工資 事由日=2026/10/31 工資=45000,45000,46000,45000,48000,45000",
+    "",
+    "💼 資遣費試算器",
+    "   - 例：試算資遣費 平均工資=45000 到職日=2015/03/01 離職日=2026/10/31",
+    "   - 例：試算資遣費 平均工資=52000 到職日=2001/08/01 已預告=是（含舊制年資）",
     "",
     "若 FAQ / 條文都無法判斷，你的問題可能會交給 AI 協助解釋（若已設定 API 金鑰）。",
     "",
@@ -404,36 +577,323 @@ async function sendFunctionMenu(replyToken) {
   }
 }
 
-/* ======================= 加班費試算器（MVP） ======================= */
+/* ======================= 多條查詢 Carousel ======================= */
 
-function buildOtHelpText() {
-  return [
-    "🧮 加班費試算器（MVP）",
-    "────────────────────",
-    "請用下列格式輸入（空白分隔）：",
-    "試算加班費 時薪=183 平日=2 休息日=3 假日=0",
-    "",
-    "可用參數別名：",
-    "• 時薪 / hour / hourly / wage",
-    "• 平日 / 平日加班",
-    "• 休息日 / 休息日加班 / 休假日",
-    "• 假日 / 國定假日 / 國假 / 假日加班",
-    "",
-    "可覆寫倍數（選填）：",
-    "• 平日倍數1（前2小時，預設1.33）",
-    "• 平日倍數2（第3~4小時，預設1.66）",
-    "• 休息日倍數（預設2.0）",
-    "• 假日倍數（預設2.0）",
-    "",
-    "範例：",
-    "• 試算加班費 時薪=183 平日=2",
-    "• 試算加班費 時薪=200 平日=1 休息日=4",
-    "• 試算加班費 時薪=183 平日=3 平日倍數1=1.34 平日倍數2=1.67",
-    "",
-    "⚠️ 本工具為簡化試算，實務仍請參考主管機關與公司制度。",
-  ].join("\n");
+// LINE carousel 最多 12 頁，保守取 10
+const MAX_ARTICLE_BUBBLES = 10;
+
+// 摘要過長時截斷，避免 bubble 過高
+function truncate(s, limit) {
+  if (!s) return s;
+  return s.length > limit ? s.slice(0, limit) + "…" : s;
+}
+
+// 單一條文 bubble（有資料 → 標題 + 摘要；沒資料 → 只給官方條文連結）
+function buildArticleBubble({ law, id: no }, articleData) {
+  const title = articleData?.title || articleLabel(no, law);
+  const bodyContents = [
+    {
+      type: "text",
+      text: `🧾 ${lawShortName(law)} 第 ${no} 條`,
+      size: "sm",
+      color: "#888888",
+    },
+    {
+      type: "text",
+      text: title,
+      weight: "bold",
+      size: "md",
+      wrap: true,
+      margin: "sm",
+    },
+    { type: "separator", margin: "md" },
+  ];
+
+  if (articleData) {
+    bodyContents.push({
+      type: "text",
+      text: truncate(articleData.summary || "（尚未整理摘要）", 160),
+      size: "sm",
+      wrap: true,
+      margin: "md",
+    });
+    if (Array.isArray(articleData.keywords) && articleData.keywords.length) {
+      bodyContents.push({
+        type: "text",
+        text: `🔍 ${articleData.keywords.join("、")}`,
+        size: "xs",
+        color: "#999999",
+        wrap: true,
+        margin: "md",
+      });
+    }
+  } else {
+    bodyContents.push({
+      type: "text",
+      text: "目前還沒有這一條的整理資料，請直接查看官方條文。",
+      size: "sm",
+      color: "#888888",
+      wrap: true,
+      margin: "md",
+    });
+  }
+
+  const footerContents = [
+    {
+      type: "button",
+      style: "link",
+      height: "sm",
+      action: { type: "uri", label: "官方條文", uri: lawUrl(no, law) },
+    },
+  ];
+  if (articleData) {
+    footerContents.unshift({
+      type: "button",
+      style: "primary",
+      height: "sm",
+      color: "#3D8BFF",
+      action: {
+        type: "message",
+        label: "看這條重點",
+        text: articleCommand(no, law),
+      },
+    });
+  }
+
+  return {
+    type: "bubble",
+    size: "kilo",
+    body: { type: "box", layout: "vertical", contents: bodyContents },
+    footer: {
+      type: "box",
+      layout: "vertical",
+      spacing: "sm",
+      contents: footerContents,
+    },
+  };
+}
+
+// 多條條文一次回覆（第24條跟第32條、第30~32條、勞基法第50條跟性平法第15條）
+async function sendArticleCarousel(replyToken, articleRefs, userText) {
+  const shown = articleRefs.slice(0, MAX_ARTICLE_BUBBLES);
+  const bubbles = shown.map((ref) =>
+    buildArticleBubble(ref, findArticleByNumber(ref.id, ref.law))
+  );
+
+  // 同一部法規：「勞動基準法第 24、32 條」；跨法規就逐條列出
+  const sameLaw = shown.every((ref) => ref.law === shown[0].law);
+  const altText = sameLaw
+    ? articleLabel(shown.map((ref) => ref.id).join("、"), shown[0].law)
+    : shown.map((ref) => articleLabel(ref.id, ref.law)).join("、");
+
+  const messages = [
+    {
+      type: "flex",
+      altText,
+      contents: { type: "carousel", contents: bubbles },
+    },
+  ];
+
+  if (articleRefs.length > shown.length) {
+    messages.push({
+      type: "text",
+      text: `一次最多顯示 ${MAX_ARTICLE_BUBBLES} 條，其餘 ${
+        articleRefs.length - shown.length
+      } 條請縮小範圍再查一次 🙏`,
+    });
+  }
+  messages[messages.length - 1].quickReply = {
+    items: toQuickReplyItems(buildSuggestions(userText)),
+  };
+
+  try {
+    await client.replyMessage(replyToken, messages);
+    console.log(`[INFO] 已送出條文 Carousel（${shown.length} 條）`);
+  } catch (err) {
+    console.error(
+      "[ERROR] 送出條文 Carousel 失敗：",
+      err?.originalError?.response?.data || err
+    );
+  }
+}
+
+// 「白話一點」「講白話一點」「簡單一點」
+function isPlainerRequest(normalized) {
+  return /^(再|說|講|可以)?(白話|簡單)(一)?點(嗎)?[?？!！]*$/.test(normalized);
 }
 
+/* ======================= 條文原文 ======================= */
+
+// 每則訊息的原文字數上限（LINE 上限 5000，太長不好讀），一次回覆最多 5 則
+const ARTICLE_TEXT_CHUNK = 1800;
+const MAX_ARTICLE_TEXT_MESSAGES = 5;
+
+// 「原文 勞基法第24條」「第24條原文」→ 是原文指令；條號另外解析
+function isArticleTextCommand(normalized) {
+  return /^原文|原文$/.test(normalized);
+}
+
+// 原文分段打包成多則訊息：一項一段，單項太長再硬切
+function chunkArticleText(blocks, limit = ARTICLE_TEXT_CHUNK) {
+  const pieces = blocks.flatMap((block) => {
+    const out = [];
+    for (let i = 0; i < block.length; i += limit) {
+      out.push(block.slice(i, i + limit));
+    }
+    return out;
+  });
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last !== undefined && last.length + piece.length + 2 <= limit) {
+      chunks[chunks.length - 1] = `${last}\n\n${piece}`;
+    } else {
+      chunks.push(piece);
+    }
+  }
+  return chunks;
+}
+
+// 條文原文訊息：標題 + 最後修正日 + 原文（必要時分成多則）+ 官方連結
+function buildArticleTextMessages({ law, id }, art) {
+  const chunks = chunkArticleText(articleTextBlocks(art));
+  const header = [`📜 ${articleLabel(id, law)}（原文）`];
+  if (art.amended) {
+    header.push(`🗓️ 最後修正：${art.amended.replace(/-/g, "/")}`);
+  }
+  header.push("────────────────────");
+
+  let shown = chunks.slice(0, MAX_ARTICLE_TEXT_MESSAGES);
+  const truncated = chunks.length > shown.length;
+  const total = shown.length;
+  shown = shown.map((chunk, i) => {
+    const page = total > 1 ? `（${i + 1}/${total}）\n` : "";
+    return i === 0
+      ? `${header.join("\n")}\n${page}${chunk}`
+      : `${page}${chunk}`;
+  });
+  const footer = truncated
+    ? `…（條文太長，其餘請看官方條文）\n🔗 ${lawUrl(id, law)}`
+    : `🔗 官方條文：${lawUrl(id, law)}`;
+  shown[shown.length - 1] += `\n\n${footer}`;
+  return shown;
+}
+
+/* ======================= 條文全文搜尋 ======================= */
+
+// 「搜尋 產假」「找條文 童工」→ 取出查詢字；不是搜尋指令回傳 null
+function parseSearchCommand(text) {
+  const m = (text || "").trim().match(/^(?:搜尋|找條文)\s*(.*)$/);
+  return m ? m[1].trim() : null;
+}
+
+// 片段 → Flex span（命中處加粗上色）
+function snippetToSpans(snippet) {
+  const chars = Array.from(snippet.text);
+  const spans = [];
+  let pos = 0;
+  for (const [start, end] of snippet.hits) {
+    if (start > pos)
+      spans.push({ type: "span", text: chars.slice(pos, start).join("") });
+    spans.push({
+      type: "span",
+      text: chars.slice(start, end).join(""),
+      weight: "bold",
+      color: "#FF7043",
+    });
+    pos = end;
+  }
+  if (pos < chars.length)
+    spans.push({ type: "span", text: chars.slice(pos).join("") });
+  return spans;
+}
+
+// 搜尋結果標題：「性平法 第 18 條｜哺乳時間」
+function searchResultTitle(r) {
+  const law = lawShortName(r.article.law);
+  return `${law} 第 ${r.id} 條｜${articleShortTitle(r.article)}`;
+}
+
+// 搜尋結果清單（每列可點，直接查該條）
+async function sendSearchResults(replyToken, query, results, userText) {
+  const rows = results.map((r, i) => ({
+    type: "box",
+    layout: "vertical",
+    margin: i === 0 ? "md" : "lg",
+    action: {
+      type: "message",
+      label: `第${r.id}條`,
+      text: articleCommand(r.id, r.article.law),
+    },
+    contents: [
+      {
+        type: "text",
+        text: searchResultTitle(r),
+        weight: "bold",
+        size: "sm",
+        color: "#3D8BFF",
+        wrap: true,
+      },
+      {
+        type: "text",
+        text: r.snippet.text || " ",
+        contents: r.snippet.hits.length ? snippetToSpans(r.snippet) : undefined,
+        size: "xs",
+        color: "#555555",
+        wrap: true,
+        margin: "sm",
+      },
+    ],
+  }));
+
+  const flex = {
+    type: "flex",
+    altText: `「${query}」的條文搜尋結果`,
+    contents: {
+      type: "bubble",
+      body: {
+        type: "box",
+        layout: "vertical",
+        contents: [
+          {
+            type: "text",
+            text: `🔎 搜尋：${query}`,
+            weight: "bold",
+            size: "lg",
+            wrap: true,
+          },
+          {
+            type: "text",
+            text: `找到 ${results.length} 條相關條文，點一下看重點`,
+            size: "xs",
+            color: "#888888",
+            margin: "sm",
+          },
+          { type: "separator", margin: "md" },
+          ...rows,
+        ],
+      },
+    },
+    quickReply: {
+      items: toQuickReplyItems(
+        buildSuggestions(userText, { matchedArticle: results[0].article })
+      ),
+    },
+  };
+
+  try {
+    await client.replyMessage(replyToken, flex);
+    console.log(`[INFO] 已送出條文搜尋結果（${results.length} 筆）`);
+  } catch (err) {
+    console.error(
+      "[ERROR] 送出條文搜尋結果失敗：",
+      err?.originalError?.response?.data || err
+    );
+  }
+}
+
+/* ======================= 加班費試算器 ======================= */
+
 async function sendOtFlex(replyToken) {
   const heroUrl = PUBLIC_BASE_URL
     ? `${PUBLIC_BASE_URL}/images/hero.png`
@@ -496,6 +956,25 @@ async function sendOtFlex(replyToken) {
                   text: "試算加班費 時薪=200 休息日=4",
                 },
               },
+              {
+                type: "button",
+                style: "primary",
+                color: "#FF7043",
+                action: {
+                  type: "message",
+                  label: "範例三（月薪36000，平日2hr）",
+                  text: "試算加班費 月薪=36000 平日=2",
+                },
+              },
+              {
+                type: "button",
+                style: "secondary",
+                action: {
+                  type: "message",
+                  label: "一步一步帶我算",
+                  text: "試算加班費 引導",
+                },
+              },
               {
                 type: "button",
                 style: "secondary",
@@ -524,110 +1003,131 @@ async function sendOtFlex(replyToken) {
   }
 }
 
-// 參數解析
-function parseOtArgs(text) {
-  const parts = text.replace(/^試算加班費/i, "").trim();
-  const tokens = parts.split(/\s+/).filter(Boolean);
-
-  const params = {
-    hourly: NaN,
-    weekday: 0,
-    rest: 0,
-    holiday: 0,
-    weekdayRate1: 1.33,
-    weekdayRate2: 1.66,
-    restRate: 2.0,
-    holidayRate: 2.0,
-  };
+/* ======================= 試算明細 Flex ======================= */
 
-  const mapKeys = (k) => {
-    const kk = k.toLowerCase();
-    if (/(時薪|hour|hourly|wage)/.test(kk)) return "hourly";
-    if (/(平日加班|平日)/.test(kk)) return "weekday";
-    if (/(休息日加班|休息日|休假日)/.test(kk)) return "rest";
-    if (/(假日加班|國定假日|國假|假日)/.test(kk)) return "holiday";
-    if (/(平日倍數1|weekdayrate1|wkr1)/.test(kk)) return "weekdayRate1";
-    if (/(平日倍數2|weekdayrate2|wkr2)/.test(kk)) return "weekdayRate2";
-    if (/(休息日倍數|restrate)/.test(kk)) return "restRate";
-    if (/(假日倍數|holidayrate)/.test(kk)) return "holidayRate";
-    return kk;
-  };
+// 明細 bubble：breakdown = { title, subtitle, sections: [{ heading, rows }], total, notes }
+function buildBreakdownBubble(breakdown) {
+  const row = ({ label, value }) => ({
+    type: "box",
+    layout: "horizontal",
+    spacing: "md",
+    margin: "sm",
+    contents: [
+      {
+        type: "text",
+        text: label,
+        size: "sm",
+        color: "#888888",
+        flex: 2,
+        wrap: true,
+      },
+      {
+        type: "text",
+        text: value,
+        size: "sm",
+        align: "end",
+        flex: 4,
+        wrap: true,
+      },
+    ],
+  });
 
-  tokens.forEach((t) => {
-    const [rawK, rawV] = t.split("=");
-    if (!rawK || typeof rawV === "undefined") return;
+  const contents = [
+    { type: "text", text: breakdown.title, weight: "bold", size: "xl" },
+    {
+      type: "text",
+      text: breakdown.subtitle,
+      size: "sm",
+      color: "#888888",
+      margin: "sm",
+      wrap: true,
+    },
+  ];
+
+  for (const section of breakdown.sections) {
+    contents.push({ type: "separator", margin: "lg" });
+    contents.push({
+      type: "text",
+      text: section.heading,
+      weight: "bold",
+      size: "sm",
+      margin: "lg",
+      wrap: true,
+    });
+    contents.push(...section.rows.map(row));
+  }
 
-    const key = mapKeys(rawK.trim());
-    const val = parseFloat(String(rawV).replace(/[^\d.]/g, ""));
+  if (breakdown.total) {
+    contents.push({ type: "separator", margin: "lg" });
+    contents.push({
+      type: "box",
+      layout: "horizontal",
+      margin: "lg",
+      contents: [
+        {
+          type: "text",
+          text: breakdown.total.label,
+          weight: "bold",
+          size: "sm",
+          flex: 3,
+          wrap: true,
+        },
+        {
+          type: "text",
+          text: breakdown.total.value,
+          weight: "bold",
+          size: "lg",
+          color: "#FF7043",
+          align: "end",
+          flex: 2,
+        },
+      ],
+    });
+  }
 
-    if (["hourly", "weekday", "rest", "holiday"].includes(key)) {
-      if (!Number.isNaN(val)) params[key] = val;
-    } else if (
-      ["weekdayRate1", "weekdayRate2", "restRate", "holidayRate"].includes(key)
-    ) {
-      if (!Number.isNaN(val)) params[key] = val;
-    }
-  });
+  for (const note of breakdown.notes || []) {
+    contents.push({
+      type: "text",
+      text: `⚠️ ${note}`,
+      size: "xxs",
+      color: "#999999",
+      margin: "md",
+      wrap: true,
+    });
+  }
 
-  return params;
+  return {
+    type: "bubble",
+    body: { type: "box", layout: "vertical", contents },
+  };
 }
 
-// 計算
-function computeOtPay(p) {
-  const h = p.hourly;
-  const wk = Math.max(0, p.weekday || 0);
-  const rs = Math.max(0, p.rest || 0);
-  const hd = Math.max(0, p.holiday || 0);
-
-  if (!h || Number.isNaN(h) || h <= 0) {
-    return { ok: false, message: "請提供正確的時薪（例如：時薪=183）" };
-  }
+async function sendBreakdownFlex(replyToken, breakdown, suggestions = []) {
+  const flex = {
+    type: "flex",
+    altText: breakdown.total
+      ? `${breakdown.title}：${breakdown.total.value}`
+      : breakdown.title,
+    contents: buildBreakdownBubble(breakdown),
+  };
+  const items = toQuickReplyItems(suggestions);
+  if (items.length) flex.quickReply = { items };
 
-  const wk1 = Math.min(2, wk);
-  const wk2 = Math.max(0, Math.min(2, wk - wk1));
-  const wk3 = Math.max(0, wk - wk1 - wk2);
-  const weekdayPay =
-    h * (wk1 * p.weekdayRate1 + wk2 * p.weekdayRate2 + wk3 * p.weekdayRate2);
-
-  const restPay = h * (rs * p.restRate);
-  const holidayPay = h * (hd * p.holidayRate);
-  const total = weekdayPay + restPay + holidayPay;
-
-  const lines = [];
-  lines.push(`📘 小勞雞試算結果（僅供參考）`);
-  lines.push(`────────────────────`);
-  lines.push(`🪙 時薪：$${h.toFixed(0)}`);
-  lines.push(
-    `⏱️ 平日加班：${wk} 小時（前2小時×${p.weekdayRate1}；第3~4小時×${p.weekdayRate2}；超過亦以 ${p.weekdayRate2} 試算）`
-  );
-  lines.push(`📆 休息日：${rs} 小時 × ${p.restRate}`);
-  lines.push(`🎌 國定假日：${hd} 小時 × ${p.holidayRate}`);
-  lines.push("");
-  lines.push(`📊 小計`);
-  lines.push(`• 平日：$${Math.round(weekdayPay).toLocaleString()}`);
-  lines.push(`• 休息日：$${Math.round(restPay).toLocaleString()}`);
-  lines.push(`• 國定假日：$${Math.round(holidayPay).toLocaleString()}`);
-  lines.push("");
-  lines.push(`💵 合計：$${Math.round(total).toLocaleString()}`);
-
-  if (wk > 4) {
-    lines.push("");
-    lines.push(
-      `⚠️ 提醒：平日加班超過 4 小時屬於特殊情況，本試算以 ${p.weekdayRate2} 倍計，實務仍請依主管機關規定與公司制度為準。`
+  try {
+    await client.replyMessage(replyToken, flex);
+    console.log(`[INFO] 已送出試算明細 Flex：${breakdown.title}`);
+  } catch (err) {
+    console.error(
+      "[ERROR] 送出試算明細 Flex 失敗：",
+      err?.originalError?.response?.data || err
     );
   }
-
-  lines.push("");
-  lines.push(
-    `⚠️ 小提醒：此為簡化計算，實際仍以《勞基法》第24條等規定與主管機關解釋為準。`
-  );
-
-  return { ok: true, message: lines.join("\n") };
 }
 
-/* ======================= OpenAI：重試 + 降級 ======================= */
+/* ======================= AI 呼叫：重試 + 降級 ======================= */
 
-function systemPromptFor(mode) {
+// grounded：有附【參考資料】時，加上只能引用參考資料的規則
+function systemPromptFor(mode, { grounded = false } = {}) {
   const systemConcise =
     "你是一位熟悉台灣《勞動基準法》的助理。請用繁體中文、冷靜親切，控制在 3～6 句。" +
     "格式：第一行用「📘 小勞雞說明：」一句話總結；接著 2～4 行條列「• 」，可適度加 emoji（⚖️📌💡💰）；" +
@@ -642,10 +1142,11 @@ function systemPromptFor(mode) {
     "🚩 風險與爭點：容易踩雷的地方（2–4 點，條列）\n" +
     "✅ 建議行動：可執行步驟（依序 4–6 步）\n" +
     "⚠️ 小提醒：聲明非正式法律意見，需以主管機關與最新法令為準。";
-  return mode === "detailed" ? systemDetailed : systemConcise;
+  const base = mode === "detailed" ? systemDetailed : systemConcise;
+  return grounded ? base + GROUNDING_INSTRUCTIONS : base;
 }
 
-// 共用重試器（針對暫時性錯誤重試）
+// 共用重試器（針對暫時性錯誤重試；各 provider 都回傳 OpenAI 格式，錯誤也帶 status）
 async function openaiChatWithRetry(
   payload,
   { timeout = 10000, retries = 2, label = "default" } = {}
@@ -655,9 +1156,9 @@ async function openaiChatWithRetry(
   while (true) {
     try {
       const t0 = Date.now();
-      const res = await openai.chat.completions.create(payload, { timeout });
+      const res = await llm.chat(payload, { timeout });
       const ms = Date.now() - t0;
-      console.log(`[INFO] OpenAI 成功（${label}）：${ms}ms`);
+      console.log(`[INFO] AI 回應成功（${llm.name}｜${label}）：${ms}ms`);
       return res;
     } catch (err) {
       const msg = String(err?.message || "");
@@ -670,8 +1171,9 @@ async function openaiChatWithRetry(
         msg.includes("ENOTFOUND") ||
         (status >= 500 && status < 600);
 
+      const tries = `${attempt + 1}/${retries + 1}`;
       console.error(
-        `[ERROR] OpenAI 失敗（${label} #${attempt + 1}/${retries + 1}）：`,
+        `[ERROR] AI 呼叫失敗（${llm.name}｜${label} #${tries}）：`,
         err
       );
 
@@ -687,27 +1189,75 @@ async function openaiChatWithRetry(
 }
 
 // 使用 OpenAI（支援 concise / detailed，含降級策略）
-async function askOpenAIForLaborHelp(userText, { mode = "concise" } = {}) {
-  if (!openai) {
-    console.warn("[WARN] askOpenAIForLaborHelp 被呼叫，但沒有 OpenAI client");
+// retrieve：先檢索本地條文與 FAQ 附在問題前面，回答後列出引用來源
+// memoryKey：來源 ID，帶上之前的問答讓追問接得上，回答成功後記進對話記憶
+// 沒有前文的問題先查回答快取；追問的答案跟前文有關，不查也不存
+async function askOpenAIForLaborHelp(
+  userText,
+  { mode = "concise", retrieve = true, memoryKey = null } = {}
+) {
+  if (!llm) {
+    console.warn("[WARN] askOpenAIForLaborHelp 被呼叫，但沒有可用的 AI 服務");
     return null;
   }
 
   const isDetailed = mode === "detailed";
 
+  // 追問（「那休息日呢？」）本身資訊太少 → 跟上一個問題合在一起檢索
+  const history = historyMessages(memoryKey);
+  const grounding = retrieve ? "rag" : "plain";
+  const cacheScope = `${llm.name}:${llm.model}|${mode}|${grounding}`;
+  const useCache = answerCache && history.length === 0;
+  if (useCache) {
+    const hit = answerCache.lookup(userText, cacheScope);
+    if (hit) {
+      const how = hit.similarity < 1 ? `相似度 ${hit.similarity}` : "完全相同";
+      console.log(`[INFO] AI 回答快取命中（${how}）：${hit.question}`);
+      if (memoryKey) recordAiTurn(memoryKey, userText, hit.memo);
+      return hit.answer;
+    }
+  }
+
+  const query = `${lastAiQuestion(memoryKey)} ${userText}`.trim();
+  const sources = retrieve ? retrieveSources(query) : [];
+  const grounded = sources.length > 0;
+  if (retrieve) {
+    const keys = sources.map((s) => `${s.key} ${s.label}`).join("、");
+    console.log(`[INFO] AI 檢索到 ${sources.length} 筆參考資料：${keys}`);
+  }
+
+  const question =
+    "以下是使用者的問題，請依上面格式回答，且只談台灣勞基法情境：\n\n" +
+    userText;
+  const messagesFor = (m) => [
+    { role: "system", content: systemPromptFor(m, { grounded }) },
+    ...history,
+    {
+      role: "user",
+      content: grounded
+        ? `${buildContextBlock(sources)}\n\n${question}`
+        : question,
+    },
+  ];
+  // 先檢查條號引用（有問題的標上待確認），再列出引用來源或附上通過檢查的條文連結
+  // cache：降級成其他模式的回答不存進快取
+  const finish = (raw, { cache = true } = {}) => {
+    const memo = stripSourceKeys(raw);
+    if (memoryKey) recordAiTurn(memoryKey, userText, memo);
+    const { answer, verifiedRefs } = verifyCitations(raw, { sources });
+    const reply = grounded
+      ? `${answer}\n\n${formatSourceList(answer, sources)}`
+      : appendLawLinks(answer, verifiedRefs);
+    if (useCache && cache) {
+      answerCache.store(userText, cacheScope, { answer: reply, memo });
+    }
+    return reply;
+  };
+
   // 第一次嘗試
   const firstTry = {
     payload: {
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPromptFor(mode) },
-        {
-          role: "user",
-          content:
-            "以下是使用者的問題，請依上面格式回答，且只談台灣勞基法情境：\n\n" +
-            userText,
-        },
-      ],
+      messages: messagesFor(mode),
       max_tokens: isDetailed ? 900 : 360,
       temperature: 0.25,
     },
@@ -722,7 +1272,7 @@ async function askOpenAIForLaborHelp(userText, { mode = "concise" } = {}) {
       label: firstTry.label,
     });
     const choice = completion.choices?.[0]?.message?.content;
-    return choice ? appendLawLinks(choice.trim()) : null;
+    return choice ? finish(choice.trim()) : null;
   } catch (err1) {
     console.warn("[WARN] 第一次呼叫失敗，嘗試降級策略…", err1?.message || err1);
   }
@@ -732,23 +1282,14 @@ async function askOpenAIForLaborHelp(userText, { mode = "concise" } = {}) {
     try {
       const completion = await openaiChatWithRetry(
         {
-          model: "gpt-4o-mini",
-          messages: [
-            { role: "system", content: systemPromptFor("detailed") },
-            {
-              role: "user",
-              content:
-                "以下是使用者的問題，請依上面格式回答，且只談台灣勞基法情境：\n\n" +
-                userText,
-            },
-          ],
+          messages: messagesFor("detailed"),
           max_tokens: 600,
           temperature: 0.25,
         },
         { timeout: 10000, retries: 1, label: "detailed#2" }
       );
       const choice = completion.choices?.[0]?.message?.content;
-      return choice ? appendLawLinks(choice.trim()) : null;
+      return choice ? finish(choice.trim()) : null;
     } catch (err2) {
       console.warn(
         "[WARN] detailed 模式再次失敗，改用 concise",
@@ -761,23 +1302,14 @@ async function askOpenAIForLaborHelp(userText, { mode = "concise" } = {}) {
   try {
     const completion = await openaiChatWithRetry(
       {
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: systemPromptFor("concise") },
-          {
-            role: "user",
-            content:
-              "以下是使用者的問題，請依上面格式回答，且只談台灣勞基法情境：\n\n" +
-              userText,
-          },
-        ],
+        messages: messagesFor("concise"),
         max_tokens: 320,
         temperature: 0.25,
       },
       { timeout: 9000, retries: 1, label: "concise#fallback" }
     );
     const choice = completion.choices?.[0]?.message?.content;
-    return choice ? appendLawLinks(choice.trim()) : null;
+    return choice ? finish(choice.trim(), { cache: !isDetailed }) : null;
   } catch (err3) {
     console.error("[ERROR] concise fallback 仍失敗：", err3);
     return null;
@@ -790,6 +1322,40 @@ app.get("/", (req, res) => {
   res.send("勞基法小幫手 LINE Bot 正在運行中 🚀");
 });
 
+// 目前載入的知識資料版本
+app.get("/status", (req, res) => {
+  res.json({
+    status: "ok",
+    knowledge: getKnowledgeStatus(),
+    citations: getCitationStats(),
+    ai: llm ? { provider: llm.name, model: llm.model } : null,
+    answerCache: answerCache ? answerCache.getStats() : null,
+  });
+});
+
+/* ======================= 管理：重新載入知識資料 ======================= */
+
+// 需設定 ADMIN_TOKEN，並以 Authorization: Bearer <token> 呼叫
+app.post("/admin/reload", (req, res) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ status: "disabled" });
+  }
+  if (req.get("authorization") !== `Bearer ${ADMIN_TOKEN}`) {
+    return res.status(401).json({ status: "unauthorized" });
+  }
+
+  const result = reloadKnowledge("admin");
+  res.status(result.ok ? 200 : 422).json({
+    status: result.ok ? "reloaded" : "rejected",
+    error: result.error,
+    knowledge: getKnowledgeStatus(),
+  });
+});
+
+if (process.env.DATA_WATCH === "true") {
+  watchKnowledge();
+}
+
 /* ======================= Webhook ======================= */
 
 app.post("/webhook", middleware(config), async (req, res) => {
@@ -841,6 +1407,108 @@ app.post("/webhook", middleware(config), async (req, res) => {
         const normalized = normalize(userText);
         console.log("[INFO] 使用者輸入：", userText);
 
+        /* -------- 加班費試算引導（多輪對話進行中） -------- */
+
+        // 不是在回答引導問題（其他指令、群組裡的閒聊）時為 null，照一般流程處理
+        const sourceId = getSourceId(event);
+        const wizardStep =
+          sourceId && hasOtWizard(sourceId)
+            ? handleOtWizard(sourceId, userText)
+            : null;
+        if (wizardStep) {
+          const { text, suggestions } = wizardStep;
+          await replyText(event.replyToken, text, suggestions);
+          return;
+        }
+
+        /* -------- 對話記憶：重新開始 / 下一條 / 上一條 / 白話一點 -------- */
+
+        if (isResetCommand(userText)) {
+          resetConversation(sourceId);
+          await replyText(
+            event.replyToken,
+            "🧹 已清除剛才的對話記憶，我們重新開始吧！\n直接輸入問題，或輸入「功能」看看我能做什麼。",
+            buildSuggestions("功能")
+          );
+          return;
+        }
+
+        if (normalized === "下一條" || normalized === "上一條") {
+          const current = lastArticle(sourceId);
+          const step = normalized === "下一條" ? nextArticleId : prevArticleId;
+          const id = current && step(current.id, current.law);
+          if (!id) {
+            const edge = normalized === "下一條" ? "最後" : "第";
+            const label = current && articleLabel(current.id, current.law);
+            const body = current
+              ? `📘 ${label}已經是${edge}一條整理好的條文了。`
+              : "🤔 我不知道你剛才看的是哪一條，先輸入像「查勞基法第24條」這樣的指令吧！";
+            await replyText(event.replyToken, body, buildSuggestions(userText));
+            return;
+          }
+
+          const ref = { law: current.law, id };
+          const art = findArticleByNumber(id, ref.law);
+          let body = formatArticleReply(userText, id, art);
+          body += `\n\n🔗 官方條文：${lawUrl(id, ref.law)}`;
+          rememberArticle(sourceId, ref);
+          await replyText(
+            event.replyToken,
+            body,
+            buildSuggestions(userText, { articleRef: ref })
+          );
+          return;
+        }
+
+        if (isPlainerRequest(normalized)) {
+          const last = lastInteraction(sourceId);
+          const ref = last?.type === "article" ? last.ref : null;
+          if (!last) {
+            await replyText(
+              event.replyToken,
+              "🤔 我不確定你想讓我把哪一段說得更白話，先問一個問題或查一條條文吧！",
+              buildSuggestions(userText)
+            );
+            return;
+          }
+
+          // 剛看完條文 → 請 AI 白話解釋那一條；剛問完 AI → 請 AI 把上一個回答講得更白話
+          const label = ref && articleLabel(ref.id, ref.law, { short: true });
+          const question = ref
+            ? `請用更白話、生活化的方式說明${label}，舉一個例子`
+            : "請用更白話、更簡短的方式，重新說明你上一個回答";
+          const aiAnswer = await askOpenAIForLaborHelp(question, {
+            mode: "concise",
+            memoryKey: sourceId,
+          });
+
+          // 記住的條文可能在資料重新載入後已不存在 → 走「換個方式問」
+          const art = ref && findArticleByNumber(ref.id, ref.law);
+          let body;
+          if (aiAnswer) {
+            body =
+              "🧭 白話版｜🐥 小勞雞\n" +
+              "────────────────────\n\n" +
+              aiAnswer +
+              "\n\n⚠️ 本回答由 AI 生成，僅供一般性資訊參考，實際仍需依主管機關與最新法令為準。";
+          } else if (art) {
+            body = [
+              "目前暫時無法使用 AI 幫你改寫，先附上這條的重點整理：",
+              "",
+              formatArticleReply(userText, ref.id, art),
+            ].join("\n");
+          } else {
+            body =
+              "目前暫時無法使用 AI 幫你改寫，可以試著換個方式直接問，或輸入「功能」看範例。";
+          }
+          await replyText(
+            event.replyToken,
+            body,
+            buildSuggestions(userText, ref ? { articleRef: ref } : {})
+          );
+          return;
+        }
+
         /* -------- AI 指令：ai/、ai+、ai/詳細、ai/進階 -------- */
 
         const trimmed = userText.trim();
@@ -883,11 +1551,11 @@ app.post("/webhook", middleware(config), async (req, res) => {
           const to = getSourceId(event);
           let body;
 
-          if (!openai) {
+          if (!llm) {
             body = [
               `你問的是（AI 模式）：${aiQuestion}`,
               "",
-              "目前尚未設定 OpenAI API 金鑰，暫時無法使用 AI 回覆。",
+              "目前尚未設定 AI 服務（OPENAI_API_KEY 或 LLM_PROVIDER），暫時無法使用 AI 回覆。",
               "可先直接輸入問題（不要加 ai/），我會改用 FAQ/條文協助。",
             ].join("\n");
           } else {
@@ -899,6 +1567,7 @@ app.post("/webhook", middleware(config), async (req, res) => {
             );
             const aiAnswer = await askOpenAIForLaborHelp(aiQuestion, {
               mode: isDetailed ? "detailed" : "concise",
+              memoryKey: to,
             });
 
             if (aiAnswer) {
@@ -936,6 +1605,22 @@ app.post("/webhook", middleware(config), async (req, res) => {
           await sendOtFlex(event.replyToken);
           return;
         }
+        if (
+          normalized === "試算加班費引導" ||
+          normalized === "引導試算加班費"
+        ) {
+          if (!sourceId) {
+            await replyText(
+              event.replyToken,
+              buildOtHelpText(),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          const first = startOtWizard(sourceId);
+          await replyText(event.replyToken, first.text, first.suggestions);
+          return;
+        }
         if (
           normalized.startsWith("試算加班費") &&
           normalized.includes("說明")
@@ -947,13 +1632,13 @@ app.post("/webhook", middleware(config), async (req, res) => {
           );
           return;
         }
-        if (normalized.startsWith("試算加班費 ")) {
+        if (normalized.startsWith("試算加班費")) {
           const params = parseOtArgs(userText);
           const result = computeOtPay(params);
           if (!result.ok) {
             await replyText(
               event.replyToken,
-              `🙇 ${result.message}\n\n輸入格式請參考：\n試算加班費 時薪=183 平日=2 休息日=3`,
+              `🙇 ${result.message}\n\n輸入格式請參考：\n試算加班費 時薪=183 平日=2 休息日=3\n試算加班費 月薪=36000 平日=2`,
               buildSuggestions(userText)
             );
           } else {
@@ -970,6 +1655,207 @@ app.post("/webhook", middleware(config), async (req, res) => {
           return;
         }
 
+        /* -------- 特休試算器 -------- */
+
+        if (normalized.startsWith("試算特休")) {
+          const params = parseAnnualLeaveArgs(userText.trim());
+          if (!params.hireDate) {
+            await replyText(
+              event.replyToken,
+              normalized === "試算特休"
+                ? buildAnnualLeaveHelpText()
+                : `🙇 看不懂到職日，請用 2021/03/15 這種格式\n\n${buildAnnualLeaveHelpText()}`,
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          const result = computeAnnualLeave(params);
+          await replyText(
+            event.replyToken,
+            result.ok ? result.message : `🙇 ${result.message}`,
+            buildSuggestions(userText)
+          );
+          return;
+        }
+
+        /* -------- 請假規定 / 請假扣薪試算器 -------- */
+
+        if (normalized.startsWith("試算請假扣薪")) {
+          if (normalized === "試算請假扣薪") {
+            await replyText(
+              event.replyToken,
+              buildLeavePayHelpText(),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          const result = computeLeavePay(parseLeavePayArgs(userText.trim()));
+          if (!result.ok) {
+            await replyText(
+              event.replyToken,
+              `🙇 ${result.message}\n\n${buildLeavePayHelpText()}`,
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          await sendBreakdownFlex(
+            event.replyToken,
+            result.breakdown,
+            buildSuggestions(userText)
+          );
+          return;
+        }
+
+        if (normalized.startsWith("請假規定") || normalized === "假別") {
+          const name = userText
+            .trim()
+            .replace(/^請假規定|^假別/, "")
+            .trim();
+          const leaveType = name ? findLeaveType(name) : null;
+          const txt = leaveType
+            ? formatLeaveTypeReply(leaveType)
+            : name
+            ? `🙇 找不到「${name}」這個假別\n\n${buildLeaveCatalogueText()}`
+            : buildLeaveCatalogueText();
+          await replyText(event.replyToken, txt, buildSuggestions(userText));
+          return;
+        }
+
+        /* -------- 退休金試算器 -------- */
+
+        if (normalized.startsWith("試算退休金")) {
+          if (normalized === "試算退休金") {
+            await replyText(
+              event.replyToken,
+              buildRetirementHelpText(),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          const result = computeRetirement(
+            parseRetirementArgs(userText.trim())
+          );
+          if (!result.ok) {
+            await replyText(
+              event.replyToken,
+              `🙇 ${result.message}\n\n${buildRetirementHelpText()}`,
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          await sendBreakdownFlex(
+            event.replyToken,
+            result.breakdown,
+            buildSuggestions(userText)
+          );
+          return;
+        }
+
+        /* -------- 班表檢查 -------- */
+
+        if (normalized.startsWith("檢查班表")) {
+          if (normalized === "檢查班表") {
+            await replyText(
+              event.replyToken,
+              buildScheduleHelpText(),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          const result = computeScheduleCheck(
+            parseScheduleArgs(userText.trim())
+          );
+          await replyText(
+            event.replyToken,
+            result.ok
+              ? result.message
+              : `🙇 ${result.message}\n\n${buildScheduleHelpText()}`,
+            buildSuggestions(userText)
+          );
+          return;
+        }
+
+        /* -------- 薪資檢查 -------- */
+
+        if (normalized.startsWith("檢查薪資")) {
+          if (normalized === "檢查薪資") {
+            await replyText(
+              event.replyToken,
+              buildPayslipHelpText(),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          const result = checkPayslip(parsePayslipArgs(userText.trim()));
+          await replyText(
+            event.replyToken,
+            result.ok
+              ? result.message
+              : `🙇 ${result.message}\n\n${buildPayslipHelpText()}`,
+            buildSuggestions(userText)
+          );
+          return;
+        }
+
+        /* -------- 平均工資試算器 -------- */
+
+        if (normalized.startsWith("試算平均工資")) {
+          if (normalized === "試算平均工資") {
+            await replyText(
+              event.replyToken,
+              buildAverageWageHelpText(),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          const result = computeAverageWage(
+            parseAverageWageArgs(userText.trim())
+          );
+          if (!result.ok) {
+            await replyText(
+              event.replyToken,
+              `🙇 ${result.message}\n\n${buildAverageWageHelpText()}`,
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          await sendBreakdownFlex(
+            event.replyToken,
+            buildAverageWageBreakdown(result.result),
+            buildSuggestions(userText)
+          );
+          return;
+        }
+
+        /* -------- 資遣費試算器 -------- */
+
+        if (normalized.startsWith("試算資遣費")) {
+          const params = parseSeveranceArgs(userText.trim());
+          if (normalized === "試算資遣費") {
+            await replyText(
+              event.replyToken,
+              buildSeveranceHelpText(),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          const result = computeSeverance(params);
+          if (!result.ok) {
+            await replyText(
+              event.replyToken,
+              `🙇 ${result.message}\n\n${buildSeveranceHelpText()}`,
+              buildSuggestions(userText)
+            );
+            return;
+          }
+          await sendBreakdownFlex(
+            event.replyToken,
+            result.breakdown,
+            buildSuggestions(userText)
+          );
+          return;
+        }
+
         /* -------- 功能/分類 指令 -------- */
 
         if (
@@ -1003,6 +1889,8 @@ app.post("/webhook", middleware(config), async (req, res) => {
             "• 我在公司做滿一年有幾天特休？",
             "• 特休沒休完可以換成錢嗎？",
             "• 特休可以分次休嗎？",
+            "• 病假扣多少薪水？",
+            "• 產假幾天有薪？",
             "",
             "你可以直接丟上面任一句，我會根據勞基法第 38 條等相關規定給你說明。",
           ].join("\n");
@@ -1028,51 +1916,163 @@ app.post("/webhook", middleware(config), async (req, res) => {
           return;
         }
 
+        /* -------- 條文原文（原文 勞基法第24條） -------- */
+
+        if (isArticleTextCommand(normalized)) {
+          const ref = extractArticleRef(userText);
+          if (!ref) {
+            await replyText(
+              event.replyToken,
+              [
+                "📜 條文原文：在「原文」後面加上條號就可以囉！",
+                "",
+                "• 原文 勞基法第24條",
+                "• 原文 性平法第15條",
+              ].join("\n"),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+
+          const art = findArticleByNumber(ref.id, ref.law);
+          if (!art || articleTextBlocks(art).length === 0) {
+            const label = articleLabel(ref.id, ref.law);
+            const url = lawUrl(ref.id, ref.law);
+            await replyText(
+              event.replyToken,
+              `📜 還沒有匯入${label}的原文，請直接看官方條文：\n${url}`,
+              buildSuggestions(userText, { articleRef: ref })
+            );
+            return;
+          }
+
+          rememberArticle(sourceId, ref);
+          await replyTexts(
+            event.replyToken,
+            buildArticleTextMessages(ref, art),
+            buildSuggestions(userText, { articleRef: ref })
+          );
+          return;
+        }
+
+        /* -------- 修法歷程 / 舊版條文（第38條修法歷程、第24條 2017年版） -------- */
+
+        // 只處理明確問版本或沿革的訊息；只是帶到日期的問題交給後面的搜尋與 AI
+        const asOf = isVersionQuery(userText) ? parseAsOfQuery(userText) : null;
+        if (asOf || isHistoryQuery(userText)) {
+          const ref = extractArticleRef(userText);
+          const art = ref && findArticleByNumber(ref.id, ref.law);
+          if (art) {
+            const body = asOf
+              ? formatVersionReply(ref, art, asOf)
+              : formatHistoryReply(ref, art);
+            rememberArticle(sourceId, ref);
+            await replyText(
+              event.replyToken,
+              body,
+              buildSuggestions(userText, { articleRef: ref })
+            );
+            return;
+          }
+        }
+
+        /* -------- 條文全文搜尋（搜尋 / 找條文） -------- */
+
+        const searchQuery = parseSearchCommand(userText);
+        if (searchQuery !== null) {
+          if (!searchQuery) {
+            await replyText(
+              event.replyToken,
+              [
+                "🔎 條文搜尋：在「搜尋」後面加上想找的字就可以囉！",
+                "",
+                "• 搜尋 產假",
+                "• 找條文 競業禁止",
+              ].join("\n"),
+              buildSuggestions(userText)
+            );
+            return;
+          }
+
+          const results = searchArticles(searchQuery, { limit: 5 });
+          if (results.length === 0) {
+            await replyText(
+              event.replyToken,
+              `🔎 找不到和「${searchQuery}」相關的條文，換個說法試試看，或直接把問題丟給我 🙏`,
+              buildSuggestions(searchQuery)
+            );
+            return;
+          }
+
+          await sendSearchResults(
+            event.replyToken,
+            searchQuery,
+            results,
+            searchQuery
+          );
+          return;
+        }
+
         /* -------- 條文查詢（第X條） -------- */
 
-        const articleNo = extractArticleNumber(userText);
-        if (articleNo) {
-          const articleData = findArticleByNumber(articleNo);
+        const articleRefs = extractArticleList(userText);
+        if (articleRefs.length > 1) {
+          // 記住最後一張卡片的條文，「下一條」才接得下去
+          const shown = articleRefs.slice(0, MAX_ARTICLE_BUBBLES);
+          rememberArticle(sourceId, shown[shown.length - 1]);
+          await sendArticleCarousel(event.replyToken, articleRefs, userText);
+          return;
+        }
+
+        const articleRef = extractArticleRef(userText);
+        if (articleRef) {
+          const { law, id: articleNo } = articleRef;
+          const label = articleLabel(articleNo, law);
+          const articleData = findArticleByNumber(articleNo, law);
           if (articleData) {
             let replyTextBody = formatArticleReply(
               userText,
               articleNo,
               articleData
             );
-            replyTextBody += `\n\n🔗 官方條文：${lawUrl(articleNo)}`;
+            replyTextBody += `\n\n🔗 官方條文：${lawUrl(articleNo, law)}`;
+            rememberArticle(sourceId, articleRef);
             await replyText(
               event.replyToken,
               replyTextBody,
-              buildSuggestions(userText, { articleNo })
+              buildSuggestions(userText, { articleRef })
             );
             return;
           } else {
             console.log(
-              `[INFO] 本地沒有第 ${articleNo} 條的資料，改詢問 OpenAI 條文說明`
+              `[INFO] 本地沒有${label}的資料，改詢問 OpenAI 條文說明`
             );
+            // 本地沒有這條，檢索不到可引用的資料 → 不附參考資料
             const aiAnswer = await askOpenAIForLaborHelp(
-              `請用簡短白話說明台灣《勞動基準法》第 ${articleNo} 條的大意與保護重點，約 3~5 句即可。`,
-              { mode: "concise" }
+              `請用簡短白話說明台灣《${lawName(
+                law
+              )}》第 ${articleNo} 條的大意與保護重點，約 3~5 句即可。`,
+              { mode: "concise", retrieve: false }
             );
 
             if (aiAnswer) {
               const body =
-                `🧾 你查的是：勞動基準法第 ${articleNo} 條\n` +
+                `🧾 你查的是：${label}\n` +
                 "────────────────────\n\n" +
                 aiAnswer +
-                `\n\n🔗 官方條文：${lawUrl(articleNo)}` +
+                `\n\n🔗 官方條文：${lawUrl(articleNo, law)}` +
                 "\n\n⚠️ 本回答由 AI 生成，僅供一般性資訊參考，實際仍以最新官方條文與主管機關解釋為準。";
               await replyText(
                 event.replyToken,
                 body,
-                buildSuggestions(userText, { articleNo })
+                buildSuggestions(userText, { articleRef })
               );
             } else {
               const body = [
-                `你查的是：勞基法第 ${articleNo} 條`,
+                `你查的是：${label}`,
                 "",
                 "目前我還沒有這一條的整理資料，也暫時無法使用 AI 協助說明。",
-                `你也可以直接查看官方條文：${lawUrl(articleNo)}`,
+                `你也可以直接查看官方條文：${lawUrl(articleNo, law)}`,
               ].join("\n");
               await replyText(
                 event.replyToken,
@@ -1084,6 +2084,18 @@ app.post("/webhook", middleware(config), async (req, res) => {
           }
         }
 
+        /* -------- 假別提問（病假扣多少、產假幾天） -------- */
+
+        const askedLeave = matchLeaveQuestion(userText);
+        if (askedLeave) {
+          await replyText(
+            event.replyToken,
+            formatLeaveTypeReply(askedLeave),
+            buildSuggestions(userText)
+          );
+          return;
+        }
+
         /* -------- FAQ / 條文關鍵字 -------- */
 
         const matchedFaq = findBestFaq(userText);
@@ -1099,15 +2111,12 @@ app.post("/webhook", middleware(config), async (req, res) => {
 
         const matchedArticle = findArticleByKeyword(userText);
         if (matchedArticle) {
-          console.log(
-            `[INFO] FAQ 沒命中，但條文關鍵字匹配到第 ${matchedArticle.no} 條`
-          );
-          let txt = formatArticleReply(
-            userText,
-            matchedArticle.no,
-            matchedArticle
-          );
-          txt += `\n\n🔗 官方條文：${lawUrl(matchedArticle.no)}`;
+          const matchedNo = articleId(matchedArticle);
+          const matchedLabel = articleLabel(matchedNo, matchedArticle.law);
+          console.log(`[INFO] FAQ 沒命中，但條文關鍵字匹配到${matchedLabel}`);
+          let txt = formatArticleReply(userText, matchedNo, matchedArticle);
+          txt += `\n\n🔗 官方條文：${lawUrl(matchedNo, matchedArticle.law)}`;
+          rememberArticle(sourceId, { law: matchedArticle.law, id: matchedNo });
           await replyText(
             event.replyToken,
             txt,
@@ -1121,6 +2130,7 @@ app.post("/webhook", middleware(config), async (req, res) => {
         console.log("[INFO] FAQ / 條文都沒命中，改丟給 OpenAI 試試");
         const aiAnswer = await askOpenAIForLaborHelp(userText, {
           mode: "concise",
+          memoryKey: sourceId,
         });
 
         if (aiAnswer) {
@@ -0,0 +1,118 @@
+// src/knowledge.js
+// 負責：法規條文、FAQ、最低工資表等資料檔的重新載入（檔案監看 / 管理端觸發）與載入狀態。
+// 新資料全部驗證通過才一起換上；任何一份失敗就保留目前版本。
+
+import fs from "fs";
+import path from "path";
+import {
+  articleId,
+  getArticles,
+  getArticlesMeta,
+  getLaws,
+  loadArticlesData,
+  parseArticleRef,
+  setArticlesData,
+} from "./articles.js";
+import { getFaqs, getFaqsMeta, loadFaqsData, setFaqsData } from "./faqs.js";
+import {
+  getMinimumWageMeta,
+  getMinimumWageRates,
+  loadMinimumWageData,
+  setMinimumWageData,
+} from "./minimumWage.js";
+
+const dataDir = path.resolve("./src/data");
+
+const state = {
+  loadedAt: new Date().toISOString(),
+  reloads: 0,
+  lastReload: null, // { at, reason, ok, error }
+};
+
+// 重新載入條文、FAQ 與最低工資表；回傳 { ok, error? }
+export function reloadKnowledge(reason = "manual") {
+  const at = new Date().toISOString();
+  try {
+    const nextArticles = loadArticlesData();
+    // FAQ 引用要對新版法規與條文檢查，避免換上後出現斷掉的引用
+    const keys = new Set(
+      nextArticles.laws.flatMap((law) =>
+        law.articles.map((art) => `${law.id}:${articleId(art)}`)
+      )
+    );
+    const nextFaqs = loadFaqsData({
+      resolveArticle: (ref) => {
+        const parsed = parseArticleRef(ref, nextArticles.laws);
+        return parsed && keys.has(`${parsed.law}:${parsed.id}`);
+      },
+    });
+    const nextMinimumWage = loadMinimumWageData();
+
+    // 全部驗證通過才替換（同步執行，中間不會插入其他請求）
+    setArticlesData(nextArticles);
+    setFaqsData(nextFaqs);
+    setMinimumWageData(nextMinimumWage);
+
+    state.loadedAt = at;
+    state.reloads += 1;
+    state.lastReload = { at, reason, ok: true };
+    console.log(`[INFO] 知識資料已重新載入（${reason}）`);
+    return { ok: true };
+  } catch (err) {
+    state.lastReload = { at, reason, ok: false, error: err.message };
+    console.error(
+      `[ERROR] 知識資料重新載入失敗（${reason}），保留目前版本：`,
+      err.message
+    );
+    return { ok: false, error: err.message };
+  }
+}
+
+// 監看 src/data/*.json，有變動就重新載入（防抖，避免編輯器存檔觸發多次）
+export function watchKnowledge({ debounceMs = 500 } = {}) {
+  let timer = null;
+  const watcher = fs.watch(dataDir, (eventType, filename) => {
+    if (filename && !filename.endsWith(".json")) return;
+    clearTimeout(timer);
+    timer = setTimeout(
+      () => reloadKnowledge(`watch:${filename || eventType}`),
+      debounceMs
+    );
+  });
+  console.log(`[INFO] 已開始監看知識資料目錄：${dataDir}`);
+  return watcher;
+}
+
+// 目前載入的資料版本（給 /status 使用）
+export function getKnowledgeStatus() {
+  const am = getArticlesMeta();
+  const fm = getFaqsMeta();
+  const mm = getMinimumWageMeta();
+  return {
+    loadedAt: state.loadedAt,
+    reloads: state.reloads,
+    lastReload: state.lastReload,
+    articles: {
+      version: am.version || null,
+      updated: am.updated || null,
+      count: getArticles().length,
+      laws: getLaws().map((law) => ({
+        id: law.id,
+        name: law.name,
+        pcode: law.pcode,
+        version: law.meta.version || null,
+        count: law.articles.length,
+      })),
+    },
+    faqs: {
+      version: fm.version || null,
+      updated: fm.updated || null,
+      count: getFaqs().length,
+    },
+    minimumWage: {
+      version: mm.version || null,
+      updated: mm.updated || null,
+      count: getMinimumWageRates().length,
+    },
+  };
+}
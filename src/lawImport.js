@@ -0,0 +1,229 @@
+// src/lawImport.js
+// 負責：解析全國法規資料庫的開放資料（ChLaw.json / ChLaw.xml，或單一法規的匯出檔），
+//       轉成本專案的條文格式（原文、項、款、最後修正日期），再併入既有的條文摘要。
+// 只處理本機檔案，不連網；命令列入口見 scripts/importLaws.js。
+
+import {
+  articleId,
+  compareArticleIds,
+  normalizeArticleId,
+  parseNumeral,
+} from "./articles.js";
+
+// 20240731 → 2024-07-31；格式不對回傳 null
+function compactDate(s) {
+  const m = String(s || "").match(/^(\d{4})(\d{2})(\d{2})$/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function pcodeFromUrl(url) {
+  const m = String(url || "").match(/pcode=([A-Z]\d{7})/);
+  return m ? m[1] : null;
+}
+
+// XML 文字內容：去 CDATA、還原實體字元
+function xmlText(s) {
+  return String(s || "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) =>
+      String.fromCodePoint(parseInt(h, 16))
+    )
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function xmlField(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return m ? xmlText(m[1]).trim() : "";
+}
+
+// 官方條號（"第 84-1 條"）+ 內容 → { id, content }；編章節等非條文回傳 null
+function officialArticle(no, content) {
+  const id = normalizeArticleId(no);
+  return id ? { id, content: String(content || "") } : null;
+}
+
+// JSON 匯出：{ Laws: [...] }、單一法規物件或法規陣列都可以
+function lawsFromJson(data) {
+  const list = Array.isArray(data) ? data : data.Laws || [data];
+  return list.map((law) => ({
+    name: law.LawName,
+    pcode: pcodeFromUrl(law.LawURL),
+    modified: compactDate(law.LawModifiedDate),
+    histories: law.LawHistories || "",
+    articles: (law.LawArticles || [])
+      .filter((a) => a.ArticleType === "A")
+      .map((a) => officialArticle(a.ArticleNo, a.ArticleContent))
+      .filter(Boolean),
+  }));
+}
+
+// XML 匯出：<LAWS><法規>…<條文><條號>第 1 條</條號><條文內容>…</條文內容></條文>…</法規></LAWS>
+function lawsFromXml(xml) {
+  const laws = [];
+  for (const m of xml.matchAll(/<法規>([\s\S]*?)<\/法規>/g)) {
+    const block = m[1];
+    laws.push({
+      name: xmlField(block, "法規名稱"),
+      pcode: pcodeFromUrl(xmlField(block, "法規網址")),
+      modified: compactDate(xmlField(block, "最新異動日期")),
+      histories: xmlField(block, "沿革內容"),
+      articles: Array.from(block.matchAll(/<條文>([\s\S]*?)<\/條文>/g))
+        .map((a) =>
+          officialArticle(xmlField(a[1], "條號"), xmlField(a[1], "條文內容"))
+        )
+        .filter(Boolean),
+    });
+  }
+  return laws;
+}
+
+// 解析匯出檔內容 → [{ name, pcode, modified, histories, articles: [{ id, content }] }]
+export function parseOfficialDump(raw, { format } = {}) {
+  const text = String(raw).replace(/^\uFEFF/, "");
+  const fmt = format || (text.trimStart().startsWith("<") ? "xml" : "json");
+  return fmt === "xml" ? lawsFromXml(text) : lawsFromJson(JSON.parse(text));
+}
+
+// 款：「一、」開頭；目：「（一）」開頭（併在所屬的款後面）
+const ITEM_RE = /^[一二三四五六七八九十]+、/;
+const SUB_ITEM_RE = /^[（(][一二三四五六七八九十]+[）)]/;
+
+// 條文內容 → 段落：[{ text, items: [款] }]，每一行不是款／目就是新的一項
+export function parseParagraphs(content) {
+  const lines = String(content || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  const paragraphs = [];
+  for (const line of lines) {
+    const current = paragraphs[paragraphs.length - 1];
+    if (current && SUB_ITEM_RE.test(line) && current.items.length) {
+      current.items[current.items.length - 1] += `\n${line}`;
+    } else if (current && ITEM_RE.test(line)) {
+      current.items.push(line);
+    } else {
+      paragraphs.push({ text: line, items: [] });
+    }
+  }
+  return paragraphs;
+}
+
+// 「中華民國七十三年七月三十日」「中華民國 113 年 7 月 31 日」→ 1984-07-30
+const ROC_DATE_RE =
+  /中華民國\s*([0-9〇零一二三四五六七八九十百]+)\s*年\s*([0-9〇零一二三四五六七八九十]+)\s*月\s*([0-9〇零一二三四五六七八九十]+)\s*日/;
+
+function rocDate(text) {
+  const m = String(text || "").match(ROC_DATE_RE);
+  if (!m) return null;
+  const [y, mo, d] = [m[1], m[2], m[3]].map((v) => parseNumeral(v));
+  if ([y, mo, d].some((v) => Number.isNaN(v))) return null;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${y + 1911}-${pad(mo)}-${pad(d)}`;
+}
+
+// 「第 2、9、22～24、30-1 條」→ ["2", "9", "22", "23", "24", "30-1"]
+function idsFromList(list) {
+  const ids = [];
+  for (const piece of list.split(/[、，,及與]/)) {
+    const range = piece.match(/^\s*(\d+)\s*[~～〜至]\s*(\d+)\s*$/);
+    if (range) {
+      for (let n = +range[1]; n <= +range[2]; n++) ids.push(String(n));
+      continue;
+    }
+    const id = normalizeArticleId(piece);
+    if (id) ids.push(id);
+  }
+  return ids;
+}
+
+// 法規沿革 → [{ date, ids: [...] | "all", text }]，由舊到新
+export function parseHistories(histories) {
+  const entries = [];
+  for (const raw of String(histories || "").split(/\r?\n/)) {
+    const text = raw.replace(/^\s*\d+\s*[.、]\s*/, "").trim();
+    const date = rocDate(text);
+    if (!date) continue;
+    const rest = text.replace(ROC_DATE_RE, "");
+    const ids = /全文/.test(rest)
+      ? "all"
+      : Array.from(rest.matchAll(/第\s*([0-9\-、，,及與~～〜至\s]+?)\s*條/g))
+          .flatMap((m) => idsFromList(m[1]))
+          .filter((id, i, arr) => arr.indexOf(id) === i);
+    entries.push({ date, ids, text });
+  }
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// 某條最後修正日期：沿革中最後一次提到該條（或修正全文）的日期
+export function lastAmendedDate(id, historyEntries, fallback = null) {
+  let date = null;
+  for (const e of historyEntries) {
+    if (e.ids === "all" || e.ids.includes(id)) date = e.date;
+  }
+  return date || fallback;
+}
+
+function articleNumberFields(id) {
+  const [no, sub] = id.split("-").map(Number);
+  return sub ? { no, sub } : { no };
+}
+
+// 官方條文併入既有摘要：保留 title / summary / keywords，補上 text / paragraphs / amended
+// addMissing：官方有、摘要檔沒有的條文也加進來（只有原文，沒有摘要）
+// 回傳 { articles, stats: { updated, added, unchanged, notFound: [條號] } }
+export function mergeOfficialArticles(
+  curated,
+  official,
+  { lawName, addMissing = false } = {}
+) {
+  const historyEntries = parseHistories(official.histories);
+  const byId = new Map(official.articles.map((a) => [a.id, a]));
+  const stats = { updated: 0, added: 0, unchanged: 0, notFound: [] };
+
+  const toFields = (a) => {
+    const paragraphs = parseParagraphs(a.content);
+    return {
+      text: paragraphs.map((p) => [p.text, ...p.items].join("\n")).join("\n"),
+      paragraphs,
+      amended: lastAmendedDate(a.id, historyEntries, official.modified),
+    };
+  };
+
+  const merged = curated.map((art) => {
+    const id = articleId(art);
+    const found = byId.get(id);
+    if (!found) {
+      stats.notFound.push(id);
+      return art;
+    }
+    byId.delete(id);
+    const next = { ...art, ...toFields(found) };
+    if (JSON.stringify(next) === JSON.stringify(art)) stats.unchanged += 1;
+    else stats.updated += 1;
+    return next;
+  });
+
+  if (addMissing) {
+    for (const [id, found] of byId) {
+      const fields = articleNumberFields(id);
+      const label = fields.sub
+        ? `${fields.no}條之${fields.sub}`
+        : `${fields.no}條`;
+      merged.push({
+        ...fields,
+        title: `${lawName}第${label}`,
+        ...toFields(found),
+      });
+      stats.added += 1;
+    }
+  }
+
+  merged.sort((a, b) => compareArticleIds(articleId(a), articleId(b)));
+  return { articles: merged, stats };
+}
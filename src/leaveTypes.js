@@ -0,0 +1,500 @@
+// src/leaveTypes.js
+// 負責：請假假別知識（勞工請假規則、性別平等工作法、勞基法第50條）與請假扣薪試算（試算請假扣薪）。
+//   • 每個假別：天數上限、工資給付比例、法源
+//   • 扣薪 = 日薪 × 請假天數 × (1 − 給付比例)；超過上限的天數視為不給薪
+// 特休另見 annualLeave.js。
+
+import { formatDate, parseDate, serviceLength, today } from "./dates.js";
+
+// 喪假（勞工請假規則第3條）：依親屬關係給假
+export const FUNERAL_LEAVE_TIERS = [
+  { days: 8, relatives: ["父母", "養父母", "繼父母", "配偶"] },
+  {
+    days: 6,
+    relatives: ["祖父母", "子女", "配偶之父母", "配偶之養父母", "配偶之繼父母"],
+  },
+  { days: 3, relatives: ["曾祖父母", "兄弟姊妹", "配偶之祖父母"] },
+];
+
+// 生理假全年 3 日內不併入病假，超過的部分併入病假計算（性平法第14條）
+export const MENSTRUAL_SEPARATE_DAYS = 3;
+// 產假：受僱未滿 6 個月者工資減半（勞基法第50條第2項）
+export const MATERNITY_FULL_PAY_MONTHS = 6;
+// 家庭照顧假併入事假計算，合計不超過事假的 14 日
+const FAMILY_CARE_MERGED_CAP = 14;
+
+// yearlyCap：每年（或每次事由）可請天數，null 表示依實際需要
+// payRatio：給付工資比例（1 全薪、0.5 半薪、0 不給薪）
+export const LEAVE_TYPES = [
+  {
+    id: "personal",
+    name: "事假",
+    aliases: ["事假"],
+    basis: "勞工請假規則第7條",
+    entitlement: "一年內合計 14 日",
+    yearlyCap: 14,
+    payRatio: 0,
+    notes: ["超過 14 日雇主可以不准，或改請特休"],
+  },
+  {
+    id: "familyCare",
+    name: "家庭照顧假",
+    aliases: ["家庭照顧假", "家照假"],
+    basis: "性別平等工作法第20條",
+    entitlement: "一年內 7 日，併入事假計算",
+    yearlyCap: 7,
+    payRatio: 0,
+    notes: ["家人預防接種、發生嚴重疾病或重大事故須親自照顧時可請"],
+  },
+  {
+    id: "sick",
+    name: "病假",
+    aliases: ["普通傷病假", "傷病假", "病假"],
+    basis: "勞工請假規則第4條",
+    entitlement: "未住院一年內合計 30 日；住院二年內合計不超過 1 年",
+    yearlyCap: 30,
+    payRatio: 0.5,
+    notes: [
+      "一年內未超過 30 日的部分工資折半發給，勞保傷病給付不足的差額由雇主補足",
+      "未住院加住院合計二年內不超過 1 年，期滿未痊癒可申請留職停薪",
+    ],
+  },
+  {
+    id: "menstrual",
+    name: "生理假",
+    aliases: ["生理假"],
+    basis: "性別平等工作法第14條",
+    entitlement: "每月 1 日",
+    yearlyCap: 12,
+    payRatio: 0.5,
+    notes: [
+      `全年 ${MENSTRUAL_SEPARATE_DAYS} 日內不併入病假，超過的部分併入病假計算`,
+      "工資減半發給",
+    ],
+  },
+  {
+    id: "marriage",
+    name: "婚假",
+    aliases: ["婚假"],
+    basis: "勞工請假規則第2條",
+    entitlement: "8 日",
+    yearlyCap: 8,
+    payRatio: 1,
+    notes: ["原則上自結婚前 10 日起 3 個月內請畢，經雇主同意可延到 1 年內"],
+  },
+  {
+    id: "funeral",
+    name: "喪假",
+    aliases: ["喪假"],
+    basis: "勞工請假規則第3條",
+    entitlement: "依親屬關係 8 日、6 日或 3 日",
+    yearlyCap: null, // 依親屬關係決定，見 FUNERAL_LEAVE_TIERS
+    payRatio: 1,
+    notes: FUNERAL_LEAVE_TIERS.map(
+      (tier) => `${tier.relatives.join("、")}：${tier.days} 日`
+    ),
+  },
+  {
+    id: "maternity",
+    name: "產假",
+    aliases: ["產假", "分娩假"],
+    basis: "勞基法第50條、性別平等工作法第15條",
+    entitlement: "分娩前後 8 週（56 日）",
+    yearlyCap: 56,
+    payRatio: 1,
+    notes: [
+      `受僱 ${MATERNITY_FULL_PAY_MONTHS} 個月以上工資照給，未滿 ${MATERNITY_FULL_PAY_MONTHS} 個月減半發給`,
+      "妊娠 3 個月以上流產：4 週；2 個月以上未滿 3 個月：1 週；未滿 2 個月：5 日",
+    ],
+  },
+  {
+    id: "prenatal",
+    name: "產檢假",
+    aliases: ["產檢假"],
+    basis: "性別平等工作法第15條",
+    entitlement: "妊娠期間 7 日",
+    yearlyCap: 7,
+    payRatio: 1,
+    notes: ["可以日或小時為單位請假"],
+  },
+  {
+    id: "paternity",
+    name: "陪產檢及陪產假",
+    aliases: ["陪產檢及陪產假", "陪產假", "陪產檢假"],
+    basis: "性別平等工作法第15條",
+    entitlement: "配偶妊娠或分娩時合計 7 日",
+    yearlyCap: 7,
+    payRatio: 1,
+    notes: ["陪產假應於配偶分娩前後合計 15 日期間內請畢"],
+  },
+  {
+    id: "occupational",
+    name: "公傷病假",
+    aliases: ["公傷病假", "公傷假", "職災假"],
+    basis: "勞工請假規則第6條、勞基法第59條",
+    entitlement: "依醫療期間需要",
+    yearlyCap: null,
+    payRatio: 1,
+    notes: ["醫療中不能工作期間，雇主應按原領工資補償"],
+  },
+  {
+    id: "official",
+    name: "公假",
+    aliases: ["公假"],
+    basis: "勞工請假規則第8條",
+    entitlement: "依實際需要（例如投票、兵役召集、出庭作證）",
+    yearlyCap: null,
+    payRatio: 1,
+    notes: [],
+  },
+];
+
+// 依別名長度由長到短比對，避免「陪產假」被「產假」搶走
+const ALIAS_INDEX = LEAVE_TYPES.flatMap((type) =>
+  type.aliases.map((alias) => ({ alias, type }))
+).sort((a, b) => b.alias.length - a.alias.length);
+
+export function findLeaveType(name) {
+  const s = String(name || "").trim();
+  const hit = ALIAS_INDEX.find(({ alias }) => alias === s);
+  return hit ? hit.type : null;
+}
+
+// 一般提問裡提到的假別（例：「病假扣多少薪水」）；要同時問到天數或薪水才算
+export function matchLeaveQuestion(text) {
+  const s = String(text || "");
+  if (!/(幾天|幾日|多少|扣|薪|工資|天數|有給|給不給|上限)/.test(s)) return null;
+  const hit = ALIAS_INDEX.find(({ alias }) => s.includes(alias));
+  return hit ? hit.type : null;
+}
+
+// 喪假天數：依親屬關係（"祖父母"、"配偶的父母"）；查不到回傳 null
+export function funeralLeaveDaysFor(relation) {
+  const r = String(relation || "").replace(/的/g, "之");
+  const tier = FUNERAL_LEAVE_TIERS.find((t) => t.relatives.includes(r));
+  return tier ? tier.days : null;
+}
+
+const PAY_TEXT = { 1: "全薪", 0.5: "半薪", 0: "不給薪" };
+
+function payText(ratio) {
+  return PAY_TEXT[ratio] || `給付 ${ratio * 100}%`;
+}
+
+// 單一假別說明
+export function formatLeaveTypeReply(type) {
+  const lines = [];
+  lines.push(`📋 ${type.name}（${type.basis}）`);
+  lines.push("────────────────────");
+  lines.push(`• 天數：${type.entitlement}`);
+  lines.push(`• 工資：${payText(type.payRatio)}`);
+  for (const note of type.notes) lines.push(`• ${note}`);
+  lines.push("");
+  lines.push(`想算會扣多少薪水：試算請假扣薪 月薪=36000 ${type.name}=2`);
+  return lines.join("\n");
+}
+
+// 全部假別一覽
+export function buildLeaveCatalogueText() {
+  const lines = ["📋 請假規定一覽", "────────────────────"];
+  for (const type of LEAVE_TYPES) {
+    lines.push(
+      `• ${type.name}：${type.entitlement}｜${payText(type.payRatio)}`
+    );
+  }
+  lines.push("");
+  lines.push("輸入「請假規定 病假」可以看單一假別的細節。");
+  lines.push("特休請改用「試算特休」。");
+  return lines.join("\n");
+}
+
+// "3"、"3天"、"4h"、"4小時" → 天數（小時以 8 小時折 1 日）
+function parseLeaveAmount(raw) {
+  const s = String(raw).trim();
+  const val = parseFloat(s.replace(/[^\d.]/g, ""));
+  if (Number.isNaN(val)) return NaN;
+  return /(h|小時|時)$/i.test(s) ? val / 8 : val;
+}
+
+// "病假:28,事假:3" → { sick: 28, personal: 3 }
+function parseUsedList(raw) {
+  const used = {};
+  for (const item of String(raw).split(/[,，、]/)) {
+    const m = item.trim().match(/^(.*?)[:：]?(\d[\d.]*)(天|日|h|小時)?$/i);
+    if (!m) continue;
+    const type = findLeaveType(m[1]);
+    if (type)
+      used[type.id] =
+        (used[type.id] || 0) + parseLeaveAmount(m[2] + (m[3] || ""));
+  }
+  return used;
+}
+
+// 參數別名 → 內部欄位（假別名稱在 parseLeavePayArgs 先處理）
+function mapKey(k) {
+  const kk = k.toLowerCase();
+  if (/(已請|已休|今年已|used)/.test(kk)) return "used";
+  if (/(到職|報到|hire)/.test(kk)) return "hireDate";
+  if (/(請假日|基準|asof)/.test(kk)) return "asOf";
+  if (/(親屬|關係|relation)/.test(kk)) return "relation";
+  if (/(月薪|monthly)/.test(kk)) return "monthly";
+  if (/(日薪|daily)/.test(kk)) return "daily";
+  if (/(時薪|hourly)/.test(kk)) return "hourly";
+  return kk;
+}
+
+// 參數解析：試算請假扣薪 月薪=36000 病假=3 事假=4h [已請=病假:28] [到職日=...] [親屬=祖父母]
+export function parseLeavePayArgs(text) {
+  const tokens = text
+    .replace(/^試算請假扣薪/, "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const params = {
+    leaves: [], // [{ type, days }]
+    used: {},
+    hireDate: null,
+    asOf: null,
+    relation: null,
+    monthly: NaN,
+    daily: NaN,
+    hourly: NaN,
+    unknown: [], // 看不懂的假別
+  };
+
+  tokens.forEach((t) => {
+    const [rawK, rawV] = t.split("=");
+    if (!rawK || typeof rawV === "undefined") return;
+
+    const type = findLeaveType(rawK);
+    if (type) {
+      const days = parseLeaveAmount(rawV);
+      if (days > 0) params.leaves.push({ type, days });
+      return;
+    }
+
+    const key = mapKey(rawK.trim());
+    if (key === "used") {
+      const used = parseUsedList(rawV);
+      for (const [id, days] of Object.entries(used)) {
+        params.used[id] = (params.used[id] || 0) + days;
+      }
+    } else if (["hireDate", "asOf"].includes(key)) {
+      params[key] = parseDate(rawV);
+    } else if (key === "relation") {
+      params.relation = rawV.trim();
+    } else if (["monthly", "daily", "hourly"].includes(key)) {
+      const val = parseFloat(String(rawV).replace(/[^\d.]/g, ""));
+      if (!Number.isNaN(val)) params[key] = val;
+    } else if (/假$/.test(rawK)) {
+      params.unknown.push(rawK);
+    }
+  });
+
+  return params;
+}
+
+// 日薪：日薪 > 月薪 ÷ 30 > 時薪 × 8
+function resolveDailyWage(p) {
+  if (p.daily > 0) return { daily: p.daily, basis: `日薪 $${p.daily}` };
+  if (p.monthly > 0) {
+    return {
+      daily: p.monthly / 30,
+      basis: `月薪 $${p.monthly.toLocaleString()} ÷ 30`,
+    };
+  }
+  if (p.hourly > 0) {
+    return { daily: p.hourly * 8, basis: `時薪 $${p.hourly} × 8` };
+  }
+  return null;
+}
+
+const money = (n) => `$${Math.round(n).toLocaleString()}`;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// 單一假別拆成「有給付比例的天數」與「超過上限不給薪的天數」
+// counters：今年各假別已用天數（會被更新，供後面的假別累計）
+function splitLeave(leave, p, counters) {
+  const { type, days } = leave;
+  let ratio = type.payRatio;
+  let cap = type.yearlyCap;
+  let capLabel = cap === null ? null : `${cap} 日`;
+  const notes = [];
+
+  if (type.id === "maternity" && p.hireDate) {
+    const asOf = p.asOf || today();
+    const months = serviceLength(p.hireDate, asOf);
+    if (months.years * 12 + months.months < MATERNITY_FULL_PAY_MONTHS) {
+      ratio = 0.5;
+      const hired = formatDate(p.hireDate);
+      notes.push(
+        `受僱未滿 ${MATERNITY_FULL_PAY_MONTHS} 個月（到職 ${hired}），產假工資減半`
+      );
+    }
+  }
+
+  if (type.id === "funeral") {
+    const tierDays = funeralLeaveDaysFor(p.relation);
+    if (tierDays) {
+      cap = tierDays;
+      capLabel = `${p.relation} ${tierDays} 日`;
+    }
+  }
+
+  // 生理假超過全年 3 日的部分併入病假上限；病假 30 日已用完時，併入的部分不給薪
+  let mergedUnpaid = 0;
+  if (type.id === "menstrual") {
+    const before = counters.menstrual || 0;
+    counters.menstrual = before + days;
+    const merged =
+      Math.max(0, counters.menstrual - MENSTRUAL_SEPARATE_DAYS) -
+      Math.max(0, before - MENSTRUAL_SEPARATE_DAYS);
+    if (merged > 0) {
+      const sickCap = LEAVE_TYPES.find((t) => t.id === "sick").yearlyCap;
+      const sickBefore = counters.sick || 0;
+      mergedUnpaid =
+        merged - Math.min(merged, Math.max(0, sickCap - sickBefore));
+      counters.sick = sickBefore + merged;
+      if (mergedUnpaid > 0) capLabel = `病假 ${sickCap} 日，含併入的生理假`;
+      const mergedText = round2(merged);
+      notes.push(
+        `超過全年 ${MENSTRUAL_SEPARATE_DAYS} 日，${mergedText} 日併入病假計算`
+      );
+    }
+  }
+
+  // 病假一年 30 日（含併入的生理假）、事假一年 14 日（含家庭照顧假）
+  const counterId = type.id === "menstrual" ? null : type.id;
+  let paidDays = days;
+  if (cap !== null && counterId) {
+    const usedBefore = counters[counterId] || 0;
+    const remaining = Math.max(0, cap - usedBefore);
+    paidDays = Math.min(days, remaining);
+    counters[counterId] = usedBefore + days;
+    if (usedBefore > 0) {
+      notes.push(
+        `今年已請 ${round2(usedBefore)} 日，剩 ${round2(remaining)} 日`
+      );
+    }
+  } else if (cap !== null) {
+    paidDays = Math.max(0, Math.min(days, cap) - mergedUnpaid);
+  }
+  if (type.id === "familyCare") {
+    counters.personal = (counters.personal || 0) + days;
+    if (counters.personal > FAMILY_CARE_MERGED_CAP) {
+      notes.push(`併入事假後超過一年 ${FAMILY_CARE_MERGED_CAP} 日`);
+    }
+  }
+
+  const overDays = days - paidDays;
+  if (overDays > 0) {
+    const overText = round2(overDays);
+    notes.push(
+      `超過上限（${capLabel}）${overText} 日，超出部分需改請事假或特休，這裡以不給薪計`
+    );
+  }
+  return { type, days, ratio, paidDays, overDays, notes };
+}
+
+// 計算：回傳 { ok, message?, breakdown? }
+export function computeLeavePay(p) {
+  if (p.unknown && p.unknown.length) {
+    return {
+      ok: false,
+      message: `看不懂假別「${p.unknown.join(
+        "、"
+      )}」，可以輸入「請假規定」看支援的假別`,
+    };
+  }
+  if (!p.leaves.length) {
+    return {
+      ok: false,
+      message: "請提供請假天數（例如：病假=3 事假=1）",
+    };
+  }
+  const wage = resolveDailyWage(p);
+  if (!wage) {
+    return {
+      ok: false,
+      message: "請提供月薪、日薪或時薪（例如：月薪=36000）",
+    };
+  }
+
+  const counters = { ...p.used };
+  // 已請的生理假超過 3 日的部分，也已經算進病假
+  if (counters.menstrual > MENSTRUAL_SEPARATE_DAYS) {
+    counters.sick =
+      (counters.sick || 0) + counters.menstrual - MENSTRUAL_SEPARATE_DAYS;
+  }
+
+  const items = p.leaves.map((leave) => splitLeave(leave, p, counters));
+  const leaveRows = [];
+  const notes = [];
+  let total = 0;
+  for (const item of items) {
+    const deduction =
+      wage.daily * (item.paidDays * (1 - item.ratio) + item.overDays);
+    total += deduction;
+    let pay = payText(item.ratio);
+    if (item.overDays > 0) {
+      pay += `，超出 ${round2(item.overDays)} 日不給薪`;
+    }
+    leaveRows.push({
+      label: `${item.type.name} ${round2(item.days)} 日`,
+      value:
+        deduction > 0 ? `扣 ${money(deduction)}（${pay}）` : `不扣（${pay}）`,
+    });
+    for (const note of item.notes) notes.push(`${item.type.name}：${note}`);
+  }
+
+  notes.push(
+    "雇主不得因婚假、喪假、公傷病假、公假、生理假、產假、產檢假、陪產檢及陪產假扣發全勤獎金（勞工請假規則第9條、性平法第21條）。"
+  );
+  notes.push(
+    "此為簡化試算，小時以 8 小時折 1 日；實際仍以勞工請假規則、性別平等工作法及主管機關解釋為準。"
+  );
+
+  return {
+    ok: true,
+    breakdown: {
+      title: "請假扣薪試算 🗓️",
+      subtitle: "勞工請假規則、性別平等工作法",
+      sections: [
+        { heading: "📋 請假明細", rows: leaveRows },
+        {
+          heading: "🧮 計算",
+          rows: [
+            { label: "日薪", value: `${money(wage.daily)}（${wage.basis}）` },
+            {
+              label: "扣薪公式",
+              value: "日薪 × 天數 × (1 − 給付比例)",
+            },
+          ],
+        },
+      ],
+      total: { label: "應扣工資", value: money(total) },
+      notes,
+    },
+  };
+}
+
+export function buildLeavePayHelpText() {
+  return [
+    "🗓️ 請假扣薪試算器",
+    "────────────────────",
+    "請用下列格式輸入（空白分隔）：",
+    "試算請假扣薪 月薪=36000 病假=3 事假=1",
+    "",
+    "• 薪資：月薪=36000（或 日薪= / 時薪=）",
+    "• 假別=天數：病假、事假、生理假、家庭照顧假、婚假、喪假、產假、產檢假、陪產假、公傷病假、公假",
+    "• 以小時請假：事假=4h",
+    "",
+    "可選參數：",
+    "• 已請=病假:28,事假:10（今年已經請過的天數，用來判斷是否超過上限）",
+    "• 親屬=祖父母（喪假依親屬關係給 8／6／3 日）",
+    "• 到職日=2026/08/01（產假：受僱未滿 6 個月工資減半）",
+    "",
+    "輸入「請假規定」可以看各假別的天數與給薪方式。",
+  ].join("\n");
+}
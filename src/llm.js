@@ -0,0 +1,139 @@
+// src/llm.js
+// 負責：AI 模型供應端（provider）的設定與建立。呼叫端只依賴 { name, model, chat(payload, { timeout }) }，
+//       chat 回傳 OpenAI Chat Completions 格式（choices[0].message.content），重試與降級都在呼叫端處理。
+// 支援：
+//   • openai：OpenAI 官方 API（OPENAI_API_KEY）
+//   • compatible：任何 OpenAI 相容的本機／自架服務（Ollama、llama.cpp server、vLLM…），用 LLM_BASE_URL 指定
+//   • mock：不連網的固定規則回答，測試與本機開發用
+
+import OpenAI from "openai";
+
+const DEFAULT_MODELS = {
+  openai: "gpt-4o-mini",
+  compatible: "llama3.1",
+  mock: "mock",
+};
+// Ollama 預設的 OpenAI 相容端點；llama.cpp server 通常是 http://localhost:8080/v1
+const DEFAULT_COMPATIBLE_BASE_URL = "http://localhost:11434/v1";
+
+const PROVIDER_ALIASES = {
+  openai: "openai",
+  compatible: "compatible",
+  "openai-compatible": "compatible",
+  local: "compatible",
+  ollama: "compatible",
+  llamacpp: "compatible",
+  "llama.cpp": "compatible",
+  mock: "mock",
+};
+
+// 用 OpenAI SDK 連官方或相容服務（相容服務通常不檢查金鑰，給個佔位字串即可）
+function openaiProvider(name, { apiKey, baseURL, model }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  return {
+    name,
+    model,
+    chat: (payload, { timeout } = {}) =>
+      client.chat.completions.create({ model, ...payload }, { timeout }),
+  };
+}
+
+// 模擬回答：依問題與參考資料組出固定格式的回答，相同輸入一定得到相同輸出
+// LLM_MOCK_FAIL=N：前 N 次呼叫丟出暫時性錯誤（測試重試／降級流程用）
+function mockProvider({ model, failTimes = 0 }) {
+  let calls = 0;
+  return {
+    name: "mock",
+    model,
+    chat: async (payload) => {
+      calls += 1;
+      if (calls <= failTimes) {
+        const err = new Error(`mock provider 模擬失敗（第 ${calls} 次）`);
+        err.status = 503;
+        throw err;
+      }
+
+      const messages = payload.messages || [];
+      const user = messages.filter((m) => m.role === "user").pop();
+      const content = String(user?.content || "");
+      const question = content.split("\n").pop().trim();
+      const source = content.match(/^\[(A\d+)\] (.+)$/m);
+      const lines = [
+        `📘 小勞雞說明（模擬回答）：你問的是「${question}」。`,
+        source
+          ? `• 可先參考${source[2]} [${source[1]}]`
+          : "• 目前沒有找到可引用的參考資料",
+        `• 這是第 ${messages.length} 則訊息的對話`,
+        "⚠️ 小提醒：目前為模擬模式，沒有呼叫任何 AI 服務。",
+      ];
+      return {
+        id: `mock-${calls}`,
+        model,
+        choices: [
+          {
+            index: 0,
+            finish_reason: "stop",
+            message: { role: "assistant", content: lines.join("\n") },
+          },
+        ],
+      };
+    },
+  };
+}
+
+// 依環境變數建立 provider；沒有可用設定時回傳 null（AI 功能停用）
+//   LLM_PROVIDER：openai / compatible（或 local、ollama、llamacpp）/ mock；
+//                 沒設時有 OPENAI_API_KEY 就用 openai
+//   LLM_MODEL：模型名稱（預設 openai 用 gpt-4o-mini、相容服務用 llama3.1）
+//   LLM_BASE_URL、LLM_API_KEY：相容服務的端點與金鑰
+export function createLlmProvider(env = process.env) {
+  const raw = (env.LLM_PROVIDER || "").trim().toLowerCase();
+  const kind = raw
+    ? PROVIDER_ALIASES[raw]
+    : env.OPENAI_API_KEY
+    ? "openai"
+    : null;
+
+  if (raw && !kind) {
+    console.error(
+      `[ERROR] 不認得的 LLM_PROVIDER「${env.LLM_PROVIDER}」，可用：openai、compatible、mock`
+    );
+    return null;
+  }
+  if (!kind) {
+    console.warn(
+      "[WARN] 尚未設定 OPENAI_API_KEY 或 LLM_PROVIDER，將不會呼叫 AI 服務"
+    );
+    return null;
+  }
+
+  const model = env.LLM_MODEL || DEFAULT_MODELS[kind];
+  let provider;
+  if (kind === "openai") {
+    if (!env.OPENAI_API_KEY) {
+      console.warn(
+        "[WARN] LLM_PROVIDER=openai 但沒有 OPENAI_API_KEY，AI 功能停用"
+      );
+      return null;
+    }
+    provider = openaiProvider("openai", {
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: env.LLM_BASE_URL,
+      model,
+    });
+  } else if (kind === "compatible") {
+    provider = openaiProvider("compatible", {
+      apiKey: env.LLM_API_KEY || "not-needed",
+      baseURL: env.LLM_BASE_URL || DEFAULT_COMPATIBLE_BASE_URL,
+      model,
+    });
+  } else {
+    provider = mockProvider({
+      model,
+      failTimes: parseInt(env.LLM_MOCK_FAIL, 10) || 0,
+    });
+  }
+
+  console.log(`[INFO] AI 服務已啟用：${provider.name}（模型 ${model}）`);
+  return provider;
+}
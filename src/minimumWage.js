@@ -0,0 +1,65 @@
+// src/minimumWage.js
+// 負責：最低工資（基本工資）歷年標準。
+// 資料放在 src/data/minimumWage.json，公告調整時加一筆即可，不用改程式。
+
+import fs from "fs";
+import path from "path";
+import { validateMinimumWageData, assertValid } from "./validate.js";
+import { formatDate, parseDate, today } from "./dates.js";
+
+const minimumWagePath = path.resolve("./src/data/minimumWage.json");
+let rates = []; // 依生效日由舊到新：[{ since: Date, monthly, hourly }]
+let minimumWageMeta = {};
+
+// 讀檔 + 驗證，不動到目前使用中的資料
+export function loadMinimumWageData() {
+  const jsonData = fs.readFileSync(minimumWagePath, "utf8");
+  const parsed = JSON.parse(jsonData);
+  assertValid("minimumWage.json", validateMinimumWageData(parsed));
+  return {
+    rates: parsed.rates
+      .map((r) => ({ ...r, since: parseDate(r.since) }))
+      .sort((a, b) => a.since - b.since),
+    meta: parsed.meta || {},
+  };
+}
+
+export function setMinimumWageData(data) {
+  rates = data.rates;
+  minimumWageMeta = data.meta;
+  const latest = rates[rates.length - 1];
+  console.log(
+    `[INFO] 已載入最低工資表（${rates.length} 筆，最新 ${formatDate(
+      latest.since
+    )} 起月薪 ${latest.monthly}、時薪 ${latest.hourly}）`
+  );
+}
+
+try {
+  setMinimumWageData(loadMinimumWageData());
+} catch (e) {
+  console.error("[ERROR] 無法載入 minimumWage.json：", e.message);
+  throw e;
+}
+
+export function getMinimumWageMeta() {
+  return minimumWageMeta;
+}
+
+export function getMinimumWageRates() {
+  return rates;
+}
+
+// 某日適用的最低工資：{ since, monthly, hourly }；早於資料表第一筆回傳 null
+export function minimumWageOn(date = today()) {
+  let found = null;
+  for (const r of rates) {
+    if (r.since <= date) found = r;
+  }
+  return found;
+}
+
+// 某年某月適用的最低工資（以該月 1 日為準；沒給月份就看 1 月）
+export function minimumWageForMonth(year, month = 1) {
+  return minimumWageOn(new Date(Date.UTC(year, month - 1, 1)));
+}
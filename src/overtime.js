@@ -0,0 +1,451 @@
+// src/overtime.js
+// 負責：加班費試算（勞基法第24條延長工時／休息日、第39條國定假日與特休出勤），
+//       並依第32條檢查每日 12 小時、每月 46／54 小時上限。
+
+import { minimumWageOn } from "./minimumWage.js";
+
+// 法定倍率（勞動部實務以小數點後兩位計：1又1/3 → 1.34、1又2/3 → 1.67、2又2/3 → 2.67）
+export const OT_RATES = {
+  rate1: 1.34, // 平日延長工時前 2 小時；休息日前 2 小時
+  rate2: 1.67, // 平日第 3~4 小時；休息日第 3~8 小時
+  rate3: 2.67, // 休息日第 9~12 小時
+};
+
+// 第32條：每日正常工時 + 延長工時不得超過 12 小時；每月延長工時上限
+export const DAILY_HOUR_LIMIT = 12;
+export const MONTHLY_OT_LIMIT = 46;
+export const MONTHLY_OT_LIMIT_WITH_AGREEMENT = 54;
+
+const REGULAR_DAY_HOURS = 8;
+
+// 月薪換算時薪：月薪 ÷ 30 ÷ 8（勞動部函釋的平日每小時工資額算法）
+const MONTHLY_WAGE_DIVISOR = 30 * REGULAR_DAY_HOURS;
+
+// 參數別名 → 內部欄位
+function mapKey(k) {
+  const kk = k.toLowerCase();
+  // 舊版的單一倍數參數，要先比對，免得被當成休息日／假日時數
+  if (/((休息日|休假日|假日|國假|特休)倍數|restrate|holidayrate)/.test(kk)) {
+    return "legacyRate";
+  }
+  if (/(倍數1|weekdayrate1|wkr1|rate1)/.test(kk)) return "rate1";
+  if (/(倍數2|weekdayrate2|wkr2|rate2)/.test(kk)) return "rate2";
+  if (/(倍數3|rate3)/.test(kk)) return "rate3";
+  if (/(休息日計時|restbilling)/.test(kk)) return "restBilling";
+  if (/(月薪|monthly|salary)/.test(kk)) return "monthly";
+  if (/(津貼|加給|allowance)/.test(kk)) return "allowance";
+  // 整個比對：薪資檢查的 hours=（當月工時）不能被當成時薪
+  if (/^(時薪|hour|hourly|wage)$/.test(kk)) return "hourly";
+  if (/(平日加班|平日)/.test(kk)) return "weekday";
+  if (/(休息日加班|休息日|休假日)/.test(kk)) return "rest";
+  if (/(假日加班|國定假日|國假|假日|特休出勤|特休)/.test(kk)) return "holiday";
+  return kk;
+}
+
+// "2" 或 "2,3,1"（多天，逗號／頓號分隔）→ [2] / [2, 3, 1]
+function parseHoursList(raw) {
+  return String(raw)
+    .split(/[,，、/]/)
+    .map((v) => parseFloat(v.replace(/[^\d.]/g, "")))
+    .filter((v) => !Number.isNaN(v) && v > 0);
+}
+
+// 金額："36,000" / "36000元" → 36000；津貼可用 + 串多筆（伙食 2400 + 全勤 1000）
+function parseAmount(raw) {
+  const values = String(raw)
+    .split("+")
+    .map((v) => parseFloat(v.replace(/[^\d.]/g, "")))
+    .filter((v) => !Number.isNaN(v));
+  return values.length ? values.reduce((a, b) => a + b, 0) : NaN;
+}
+
+// 參數解析：試算加班費 時薪=183 平日=2,3 休息日=5 假日=10
+//          試算加班費 月薪=36000 津貼=2400+1000 平日=2
+export function parseOtArgs(text) {
+  const parts = text.replace(/^試算加班費/i, "").trim();
+  const tokens = parts.split(/\s+/).filter(Boolean);
+
+  const params = {
+    hourly: NaN,
+    monthly: NaN,
+    allowance: 0,
+    weekday: [],
+    rest: [],
+    holiday: [],
+    ...OT_RATES,
+    restBilling: "interpretation", // "interpretation"：1~4 小時以 4 計、5~8 以 8 計；"actual"：核實計算
+    legacyRates: [], // 輸入了已停用的 休息日倍數= / 假日倍數=（計算時回覆說明）
+  };
+
+  tokens.forEach((t) => {
+    const [rawK, rawV] = t.split("=");
+    if (!rawK || typeof rawV === "undefined") return;
+
+    const key = mapKey(rawK.trim());
+
+    if (key === "legacyRate") {
+      params.legacyRates.push(rawK.trim());
+    } else if (["weekday", "rest", "holiday"].includes(key)) {
+      params[key] = parseHoursList(rawV);
+    } else if (key === "restBilling") {
+      if (/實際|核實|actual/i.test(rawV)) params.restBilling = "actual";
+    } else if (["monthly", "allowance"].includes(key)) {
+      const val = parseAmount(rawV);
+      if (!Number.isNaN(val)) params[key] = val;
+    } else if (["hourly", "rate1", "rate2", "rate3"].includes(key)) {
+      const val = parseFloat(String(rawV).replace(/[^\d.]/g, ""));
+      if (!Number.isNaN(val)) params[key] = val;
+    }
+  });
+
+  return params;
+}
+
+// 依級距切時數：tiers = [{ upTo, rate, label }]，回傳各段 { label, rate, hours }
+function splitTiers(hours, tiers) {
+  const out = [];
+  let prev = 0;
+  for (const tier of tiers) {
+    const h = Math.max(0, Math.min(hours, tier.upTo) - prev);
+    if (h > 0) out.push({ label: tier.label, rate: tier.rate, hours: h });
+    prev = tier.upTo;
+  }
+  return out;
+}
+
+// 平日延長工時：前 2 小時 rate1，之後 rate2（超過 4 小時已違法，仍以 rate2 試算）
+function weekdayTiers(p) {
+  return [
+    { upTo: 2, rate: p.rate1, label: "前 2 小時" },
+    { upTo: Infinity, rate: p.rate2, label: "第 3 小時起" },
+  ];
+}
+
+// 休息日出勤：前 2 小時 rate1、第 3~8 小時 rate2、第 9 小時起 rate3
+function restTiers(p) {
+  return [
+    { upTo: 2, rate: p.rate1, label: "前 2 小時" },
+    { upTo: 8, rate: p.rate2, label: "第 3~8 小時" },
+    { upTo: Infinity, rate: p.rate3, label: "第 9 小時起" },
+  ];
+}
+
+// 休息日計費時數（勞動部解釋：1~4 小時以 4 小時計、5~8 小時以 8 小時計）
+function restBilledHours(hours, mode) {
+  if (mode === "actual") return hours;
+  if (hours <= 4) return 4;
+  if (hours <= 8) return 8;
+  return hours;
+}
+
+// 同類型多天的各段時數合併（例：兩天平日加班的「前 2 小時」加總）
+function mergeSegments(segmentsPerDay) {
+  const merged = [];
+  for (const segs of segmentsPerDay) {
+    for (const seg of segs) {
+      const found = merged.find(
+        (m) => m.label === seg.label && m.rate === seg.rate
+      );
+      if (found) found.hours += seg.hours;
+      else merged.push({ ...seg });
+    }
+  }
+  return merged;
+}
+
+function priced(segments, hourly) {
+  return segments.map((seg) => ({
+    ...seg,
+    pay: hourly * seg.hours * seg.rate,
+  }));
+}
+
+const sum = (arr, f) => arr.reduce((acc, x) => acc + f(x), 0);
+
+// 平日每小時工資額：有月薪就以（月薪 + 固定津貼）÷ 30 ÷ 8 換算，否則用時薪
+// 回傳 { type, hourly, monthly?, allowance?, wages? } 或 null
+export function resolveHourlyWage(p) {
+  if (p.monthly > 0) {
+    const allowance = p.allowance > 0 ? p.allowance : 0;
+    const wages = p.monthly + allowance;
+    return {
+      type: "monthly",
+      monthly: p.monthly,
+      allowance,
+      wages,
+      hourly: wages / MONTHLY_WAGE_DIVISOR,
+    };
+  }
+  if (p.hourly > 0) return { type: "hourly", hourly: p.hourly };
+  return null;
+}
+
+// 低於最低工資的提醒（月薪制比月薪、時薪制比時薪；標準取今天適用的那一筆）
+function minimumWageWarning(base) {
+  const minimumWage = minimumWageOn();
+  if (!minimumWage) return null;
+  if (base.type === "monthly" && base.wages < minimumWage.monthly) {
+    const wages = base.wages.toLocaleString();
+    const minimum = minimumWage.monthly.toLocaleString();
+    const minimumHourly = roundRate(minimumWage.monthly / MONTHLY_WAGE_DIVISOR);
+    const hourly = roundRate(base.hourly);
+    return `月薪（含固定津貼）$${wages}，換算時薪約 $${hourly}，低於最低工資月薪 $${minimum}（約時薪 $${minimumHourly}）（第21條）。`;
+  }
+  if (base.type === "hourly" && base.hourly < minimumWage.hourly) {
+    return `時薪 $${base.hourly} 低於最低工資時薪 $${minimumWage.hourly}（第21條）。`;
+  }
+  return null;
+}
+
+// 時薪顯示：最多兩位小數
+function roundRate(n) {
+  return Number(n.toFixed(2));
+}
+
+// 計算：回傳各類別的分段明細與違規提醒（不含排版）
+export function calculateOvertime(p) {
+  if (p.legacyRates?.length) {
+    const names = p.legacyRates.map((k) => `「${k}」`).join("");
+    return {
+      ok: false,
+      message: [
+        `${names}已停用：休息日改依第24條分段計算（前 2 小時 ×${OT_RATES.rate1}、第 3~8 小時 ×${OT_RATES.rate2}、第 9 小時起 ×${OT_RATES.rate3}），`,
+        "國定假日／特休出勤依第39條加發一日工資。",
+        "公司給得比法令好時，可用 倍數1、倍數2、倍數3 覆寫各段倍率。",
+      ].join("\n"),
+    };
+  }
+
+  const base = resolveHourlyWage(p);
+  if (!base) {
+    return {
+      ok: false,
+      message: "請提供正確的時薪或月薪（例如：時薪=183 或 月薪=36000）",
+    };
+  }
+  const h = base.hourly;
+
+  const warnings = [];
+  const minWageWarning = minimumWageWarning(base);
+
+  // 平日
+  const weekdaySegs = priced(
+    mergeSegments(p.weekday.map((hrs) => splitTiers(hrs, weekdayTiers(p)))),
+    h
+  );
+  p.weekday.forEach((hrs) => {
+    if (hrs + REGULAR_DAY_HOURS > DAILY_HOUR_LIMIT) {
+      warnings.push(
+        `平日加班 ${hrs} 小時那天，連同正常工時超過每日 ${DAILY_HOUR_LIMIT} 小時上限（第32條）。`
+      );
+    }
+  });
+
+  // 休息日
+  const restBilled = p.rest.map((hrs) => restBilledHours(hrs, p.restBilling));
+  const restSegs = priced(
+    mergeSegments(restBilled.map((hrs) => splitTiers(hrs, restTiers(p)))),
+    h
+  );
+  p.rest.forEach((hrs) => {
+    if (hrs > DAILY_HOUR_LIMIT) {
+      warnings.push(
+        `休息日出勤 ${hrs} 小時那天，超過每日 ${DAILY_HOUR_LIMIT} 小時上限（第32條、第36條）。`
+      );
+    }
+  });
+
+  // 國定假日／特休出勤（第39條）：8 小時內加發一日工資，超過 8 小時依平日延長工時計
+  const holidaySegs = [];
+  if (p.holiday.length > 0) {
+    holidaySegs.push({
+      label: "加發一日工資（8 小時內）",
+      rate: 1,
+      hours: p.holiday.length * REGULAR_DAY_HOURS,
+    });
+    holidaySegs.push(
+      ...mergeSegments(
+        p.holiday.map((hrs) =>
+          splitTiers(Math.max(0, hrs - REGULAR_DAY_HOURS), weekdayTiers(p))
+        )
+      ).map((seg) => ({ ...seg, label: `超過 8 小時・${seg.label}` }))
+    );
+  }
+  p.holiday.forEach((hrs) => {
+    if (hrs > DAILY_HOUR_LIMIT) {
+      warnings.push(
+        `假日出勤 ${hrs} 小時那天，超過每日 ${DAILY_HOUR_LIMIT} 小時上限（第32條）。`
+      );
+    }
+  });
+  const holidayPriced = priced(holidaySegs, h);
+
+  // 每月延長工時：平日加班 + 休息日實際出勤 + 假日超過 8 小時部分
+  const monthlyOt =
+    sum(p.weekday, (x) => x) +
+    sum(p.rest, (x) => x) +
+    sum(p.holiday, (x) => Math.max(0, x - REGULAR_DAY_HOURS));
+  if (monthlyOt > MONTHLY_OT_LIMIT_WITH_AGREEMENT) {
+    warnings.push(
+      `本次延長工時合計 ${monthlyOt} 小時，若在同一個月內，已超過每月 ${MONTHLY_OT_LIMIT_WITH_AGREEMENT} 小時的最高上限（第32條）。`
+    );
+  } else if (monthlyOt > MONTHLY_OT_LIMIT) {
+    warnings.push(
+      `本次延長工時合計 ${monthlyOt} 小時，若在同一個月內，已超過每月 ${MONTHLY_OT_LIMIT} 小時；需經工會或勞資會議同意，才可放寬至 ${MONTHLY_OT_LIMIT_WITH_AGREEMENT} 小時（且每 3 個月不超過 138 小時）（第32條）。`
+    );
+  }
+
+  const weekday = { days: p.weekday, segments: weekdaySegs };
+  const rest = { days: p.rest, billed: restBilled, segments: restSegs };
+  const holiday = { days: p.holiday, segments: holidayPriced };
+  const total =
+    sum(weekdaySegs, (s) => s.pay) +
+    sum(restSegs, (s) => s.pay) +
+    sum(holidayPriced, (s) => s.pay);
+
+  return {
+    ok: true,
+    base,
+    minWageWarning,
+    hourly: h,
+    weekday,
+    rest,
+    holiday,
+    monthlyOt,
+    total,
+    warnings,
+    restBilling: p.restBilling,
+  };
+}
+
+const money = (n) => `$${Math.round(n).toLocaleString()}`;
+
+function segmentLines(segments) {
+  return segments.map(
+    (s) => `  • ${s.label} ×${s.rate}：${s.hours} 小時 → ${money(s.pay)}`
+  );
+}
+
+// 排版給 LINE 顯示
+export function formatOvertimeResult(r) {
+  const lines = [];
+  lines.push(`📘 小勞雞試算結果（僅供參考）`);
+  lines.push(`────────────────────`);
+  lines.push(`🪙 時薪：$${roundRate(r.hourly)}`);
+  if (r.base.type === "monthly") {
+    const parts = [`月薪 $${r.base.monthly.toLocaleString()}`];
+    if (r.base.allowance > 0) {
+      parts.push(`固定津貼 $${r.base.allowance.toLocaleString()}`);
+    }
+    const wages = parts.length > 1 ? `（${parts.join(" + ")}）` : parts[0];
+    lines.push(`   = ${wages} ÷ 30 ÷ 8`);
+  }
+  if (r.minWageWarning) {
+    lines.push(`🚩 ${r.minWageWarning}`);
+  }
+
+  if (r.weekday.days.length > 0) {
+    lines.push("");
+    const hours = sum(r.weekday.days, (x) => x);
+    lines.push(`⏱️ 平日加班：${r.weekday.days.length} 天，共 ${hours} 小時`);
+    lines.push(...segmentLines(r.weekday.segments));
+  }
+
+  if (r.rest.days.length > 0) {
+    const actual = sum(r.rest.days, (x) => x);
+    const billed = sum(r.rest.billed, (x) => x);
+    lines.push("");
+    lines.push(
+      `📆 休息日出勤：${r.rest.days.length} 天，實際 ${actual} 小時` +
+        (billed !== actual ? `（依規定以 ${billed} 小時計）` : "")
+    );
+    lines.push(...segmentLines(r.rest.segments));
+  }
+
+  if (r.holiday.days.length > 0) {
+    lines.push("");
+    const hours = sum(r.holiday.days, (x) => x);
+    lines.push(
+      `🎌 國定假日／特休出勤：${r.holiday.days.length} 天，共 ${hours} 小時`
+    );
+    lines.push(...segmentLines(r.holiday.segments));
+  }
+
+  lines.push("");
+  lines.push(`💵 合計：${money(r.total)}`);
+
+  if (r.warnings.length > 0) {
+    lines.push("");
+    lines.push("🚩 工時上限提醒：");
+    lines.push(...r.warnings.map((w) => `• ${w}`));
+  }
+
+  lines.push("");
+  if (r.restBilling !== "actual" && r.rest.days.length > 0) {
+    lines.push(
+      "ℹ️ 休息日依勞動部解釋「1~4 小時以 4 小時計、5~8 小時以 8 小時計」；若要核實計算，可加上「休息日計時=實際」。"
+    );
+  }
+  lines.push(
+    `⚠️ 小提醒：此為簡化計算，實際仍以《勞基法》第24條、第32條、第39條等規定與主管機關解釋為準。`
+  );
+
+  return lines.join("\n");
+}
+
+// 計算 + 排版：{ ok, message, result? }
+export function computeOtPay(p) {
+  const result = calculateOvertime(p);
+  if (!result.ok) return result;
+
+  const dayCount =
+    result.weekday.days.length +
+    result.rest.days.length +
+    result.holiday.days.length;
+  if (dayCount === 0) {
+    return {
+      ok: false,
+      message: "請至少輸入一種加班時數（例如：平日=2 或 休息日=4）",
+    };
+  }
+
+  return { ok: true, message: formatOvertimeResult(result), result };
+}
+
+export function buildOtHelpText() {
+  return [
+    "🧮 加班費試算器",
+    "────────────────────",
+    "請用下列格式輸入（空白分隔）：",
+    "試算加班費 時薪=183 平日=2 休息日=3 假日=0",
+    "",
+    "可用參數別名：",
+    "• 時薪 / hour / hourly / wage",
+    "• 月薪 / monthly / salary（自動以 月薪 ÷ 30 ÷ 8 換算時薪）",
+    "• 津貼 / 加給 / allowance（每月固定發給、屬於工資的津貼，可用 + 串多筆）",
+    "• 平日 / 平日加班（當天延長工時）",
+    "• 休息日 / 休息日加班 / 休假日",
+    "• 假日 / 國定假日 / 國假 / 特休出勤",
+    "",
+    "多天可用逗號分開，每個數字代表一天：",
+    "• 平日=2,3,1（三天分別加班 2、3、1 小時）",
+    "",
+    "法定倍率（第24條、第39條）：",
+    `• 平日：前 2 小時 ×${OT_RATES.rate1}、第 3~4 小時 ×${OT_RATES.rate2}`,
+    `• 休息日：前 2 小時 ×${OT_RATES.rate1}、第 3~8 小時 ×${OT_RATES.rate2}、第 9~12 小時 ×${OT_RATES.rate3}`,
+    "• 休息日 1~4 小時以 4 小時計、5~8 小時以 8 小時計（可用「休息日計時=實際」改為核實）",
+    "• 國定假日／特休出勤：8 小時內加發一日工資，超過 8 小時依平日加班倍率",
+    "",
+    "可覆寫倍數（選填，公司優於法令時使用）：",
+    `• 倍數1（預設${OT_RATES.rate1}）、倍數2（預設${OT_RATES.rate2}）、倍數3（預設${OT_RATES.rate3}）`,
+    "",
+    "範例：",
+    "• 試算加班費 時薪=183 平日=2",
+    "• 試算加班費 時薪=200 平日=1,2 休息日=4",
+    "• 試算加班費 時薪=190 假日=10",
+    "• 試算加班費 月薪=36000 津貼=2400+1000 平日=2",
+    "",
+    `⚠️ 會一併提醒第32條上限：每日 ${DAILY_HOUR_LIMIT} 小時、每月延長工時 ${MONTHLY_OT_LIMIT} 小時（經同意最多 ${MONTHLY_OT_LIMIT_WITH_AGREEMENT} 小時）。`,
+    "⚠️ 本工具為簡化試算，實務仍請參考主管機關與公司制度。",
+  ].join("\n");
+}
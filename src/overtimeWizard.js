@@ -0,0 +1,279 @@
+// src/overtimeWizard.js
+// 負責：加班費試算的多輪對話引導（一步一步問薪資、各類加班時數，最後交給試算器）。
+// 對話狀態以來源 ID（userId / groupId / roomId）為 key，閒置過久自動失效。
+// 引導中輸入其他指令（功能、ai/、其他試算…）會結束引導；看起來不是在回答問題的訊息照一般流程處理。
+
+import { computeOtPay, parseOtArgs, DAILY_HOUR_LIMIT } from "./overtime.js";
+import { isResetCommand } from "./conversation.js";
+
+const SESSION_TTL_MS = 10 * 60 * 1000;
+const sessions = new Map(); // key → { step, history, data, updatedAt }
+
+// 定期清掉過期的對話（unref：不阻擋程式結束）
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, s] of sessions) {
+    if (now - s.updatedAt > SESSION_TTL_MS) sessions.delete(key);
+  }
+}, 60 * 1000).unref();
+
+// 這些指令會結束引導、改走一般流程
+const EXIT_COMMAND_RE =
+  /^(試算|檢查|查|搜尋|找條文|原文|請假規定|假別|功能|help|使用說明|選單|ai[/+])|相關$/i;
+// 金額、時數類的回答：有數字且不長，或明確說沒有
+const NUMERIC_ANSWER_RE = /^(0|０|沒有|無|不用|略過)$/;
+const MAX_NUMERIC_ANSWER_CHARS = 20;
+
+const CANCEL = { label: "取消", text: "取消" };
+const BACK = { label: "上一步", text: "上一步" };
+
+// 數字："36,000"、"３６０００"、"2.5" → number；無法辨識回傳 NaN
+function parseNumber(text) {
+  const s = String(text)
+    .replace(/[０-９．]/g, (d) => String.fromCharCode(d.charCodeAt(0) - 65248))
+    .replace(/[,，\s元]/g, "");
+  return /^\d+(\.\d+)?$/.test(s) ? parseFloat(s) : NaN;
+}
+
+// 時數清單："0" / "沒有" → []；"2" → [2]；"2,3" → [2, 3]；不合法回傳 null
+function parseHours(text) {
+  const s = String(text).trim();
+  if (/^(0|０|沒有|無|不用|略過)$/.test(s)) return [];
+  const list = s
+    .split(/[,，、\s]+/)
+    .filter(Boolean)
+    .map(parseNumber);
+  if (list.length === 0) return null;
+  if (list.some((h) => Number.isNaN(h) || h <= 0 || h > 24)) return null;
+  return list;
+}
+
+// 看起來像在回答數字題（群組裡其他人聊天、順手問的問題不算）
+function isNumericAnswer(text) {
+  return (
+    NUMERIC_ANSWER_RE.test(text) ||
+    (/[0-9０-９]/.test(text) && text.length <= MAX_NUMERIC_ANSWER_CHARS)
+  );
+}
+
+// 每一步：問題、快速回覆、像不像在回答（accepts）、解析與驗證（回傳 { value } 或 { error }）
+const STEPS = {
+  salaryType: {
+    prompt: () =>
+      "🧮 加班費試算（引導模式）\n\n你的薪資是領「時薪」還是「月薪」？",
+    suggestions: () => [
+      { label: "時薪", text: "時薪" },
+      { label: "月薪", text: "月薪" },
+      CANCEL,
+    ],
+    accepts: (text) =>
+      /時薪|月薪|hourly|monthly/i.test(text) || text.length <= 4,
+    parse: (text) => {
+      if (/時薪|hourly/i.test(text)) return { value: "hourly" };
+      if (/月薪|monthly/i.test(text)) return { value: "monthly" };
+      return { error: "請選「時薪」或「月薪」喔" };
+    },
+    next: () => "amount",
+  },
+  amount: {
+    prompt: (d) =>
+      d.salaryType === "monthly"
+        ? "月薪是多少？（只要數字，例如 36000）"
+        : "時薪是多少？（只要數字，例如 196）",
+    suggestions: (d) => [
+      d.salaryType === "monthly"
+        ? { label: "36000", text: "36000" }
+        : { label: "196", text: "196" },
+      BACK,
+      CANCEL,
+    ],
+    accepts: isNumericAnswer,
+    parse: (text, d) => {
+      const n = parseNumber(text);
+      const max = d.salaryType === "monthly" ? 10000000 : 100000;
+      if (Number.isNaN(n) || n <= 0 || n > max) {
+        return { error: "金額看起來不太對，請輸入正整數（例如 36000）" };
+      }
+      return { value: n };
+    },
+    next: (d) => (d.salaryType === "monthly" ? "allowance" : "weekday"),
+  },
+  allowance: {
+    prompt: () =>
+      "每月有沒有固定發的津貼／加給（例如伙食、全勤、職務加給）？\n有的話輸入合計金額，沒有就輸入 0。",
+    suggestions: () => [{ label: "沒有", text: "0" }, BACK, CANCEL],
+    accepts: isNumericAnswer,
+    parse: (text) => {
+      if (/^(沒有|無)$/.test(text.trim())) return { value: 0 };
+      const n = parseNumber(text);
+      if (Number.isNaN(n) || n < 0) {
+        return { error: "請輸入津貼合計金額，沒有就輸入 0" };
+      }
+      return { value: n };
+    },
+    next: () => "weekday",
+  },
+  weekday: {
+    prompt: () =>
+      "平日加班幾小時？\n多天用逗號分開（例如 2,3 代表兩天各加 2、3 小時），沒有就輸入 0。",
+    suggestions: () => [
+      { label: "沒有", text: "0" },
+      { label: "2 小時", text: "2" },
+      BACK,
+      CANCEL,
+    ],
+    accepts: isNumericAnswer,
+    parse: parseHoursStep,
+    next: () => "rest",
+  },
+  rest: {
+    prompt: () => "休息日（通常是週六）出勤幾小時？沒有就輸入 0。",
+    suggestions: () => [
+      { label: "沒有", text: "0" },
+      { label: "8 小時", text: "8" },
+      BACK,
+      CANCEL,
+    ],
+    accepts: isNumericAnswer,
+    parse: parseHoursStep,
+    next: () => "holiday",
+  },
+  holiday: {
+    prompt: () => "國定假日或特休當天被叫來上班幾小時？沒有就輸入 0。",
+    suggestions: () => [
+      { label: "沒有", text: "0" },
+      { label: "8 小時", text: "8" },
+      BACK,
+      CANCEL,
+    ],
+    accepts: isNumericAnswer,
+    parse: parseHoursStep,
+    next: () => null,
+  },
+};
+
+function parseHoursStep(text) {
+  const list = parseHours(text);
+  if (!list) {
+    return {
+      error: `請輸入 0～24 的小時數，多天用逗號分開（例如 2,3）；單日超過 ${DAILY_HOUR_LIMIT} 小時我會另外提醒`,
+    };
+  }
+  return { value: list };
+}
+
+function promptFor(session) {
+  const step = STEPS[session.step];
+  return {
+    text: step.prompt(session.data),
+    suggestions: step.suggestions(session.data),
+  };
+}
+
+// 收集完的資料 → 等同手動輸入的試算指令（順便教使用者下次可以直接打）
+function toCommand(d) {
+  const parts = ["試算加班費"];
+  if (d.salaryType === "monthly") {
+    parts.push(`月薪=${d.amount}`);
+    if (d.allowance > 0) parts.push(`津貼=${d.allowance}`);
+  } else {
+    parts.push(`時薪=${d.amount}`);
+  }
+  if (d.weekday.length) parts.push(`平日=${d.weekday.join(",")}`);
+  if (d.rest.length) parts.push(`休息日=${d.rest.join(",")}`);
+  if (d.holiday.length) parts.push(`假日=${d.holiday.join(",")}`);
+  return parts.join(" ");
+}
+
+// 是否有進行中的引導（過期的順便清掉）
+export function hasOtWizard(key) {
+  const s = sessions.get(key);
+  if (!s) return false;
+  if (Date.now() - s.updatedAt > SESSION_TTL_MS) {
+    sessions.delete(key);
+    return false;
+  }
+  return true;
+}
+
+// 開始引導：回傳第一個問題 { text, suggestions }
+export function startOtWizard(key) {
+  const session = {
+    step: "salaryType",
+    history: [],
+    data: {},
+    updatedAt: Date.now(),
+  };
+  sessions.set(key, session);
+  return promptFor(session);
+}
+
+// 處理引導中的一則輸入：回傳 { text, suggestions, done }
+// 不是在回答引導問題時回傳 null（交給一般流程）；輸入其他指令時順便結束引導
+export function handleOtWizard(key, text) {
+  const session = sessions.get(key);
+  if (!session) return null;
+
+  const input = (text || "").trim();
+  if (EXIT_COMMAND_RE.test(input) || isResetCommand(input)) {
+    sessions.delete(key);
+    console.log(`[INFO] 加班費試算引導已結束（改處理：${input}）`);
+    return null;
+  }
+
+  if (/^(取消|離開|結束)$/.test(input)) {
+    sessions.delete(key);
+    return {
+      text: "👌 已取消加班費試算，想再算隨時輸入「試算加班費」。",
+      suggestions: [
+        { label: "試算加班費", text: "試算加班費" },
+        { label: "功能選單", text: "功能" },
+      ],
+      done: true,
+    };
+  }
+
+  if (/^(上一步|返回)$/.test(input)) {
+    session.updatedAt = Date.now();
+    if (session.history.length > 0) session.step = session.history.pop();
+    return { ...promptFor(session), done: false };
+  }
+
+  const step = STEPS[session.step];
+  if (!step.accepts(input)) return null;
+  session.updatedAt = Date.now();
+
+  const parsed = step.parse(input, session.data);
+  if (parsed.error) {
+    const { text: prompt, suggestions } = promptFor(session);
+    return {
+      text: `🙇 ${parsed.error}\n（輸入「取消」可離開）\n\n${prompt}`,
+      suggestions,
+      done: false,
+    };
+  }
+
+  session.data[session.step] = parsed.value;
+  const nextStep = step.next(session.data);
+  if (nextStep) {
+    session.history.push(session.step);
+    session.step = nextStep;
+    return { ...promptFor(session), done: false };
+  }
+
+  // 全部問完 → 交給試算器
+  sessions.delete(key);
+  const command = toCommand(session.data);
+  const result = computeOtPay(parseOtArgs(command));
+  const body = result.ok
+    ? `${result.message}\n\n💡 下次可以直接輸入：\n${command}`
+    : `🙇 ${result.message}\n\n要重新來一次嗎？`;
+  return {
+    text: body,
+    suggestions: [
+      { label: "再算一次", text: "試算加班費 引導" },
+      { label: "功能選單", text: "功能" },
+    ],
+    done: true,
+  };
+}
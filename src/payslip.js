@@ -0,0 +1,330 @@
+// src/payslip.js
+// 負責：薪資單合規檢查（檢查薪資）。
+//   • 第21條：是否低於當期最低工資（月薪制比月薪、時薪制與部分工時比時薪）
+//   • 第22條、第26條：扣款項目是否合法（不得預扣違約金、賠償費用，不得罰款）
+//   • 第24條、第39條：已領加班費是否少於法定計算結果
+// 薪資與加班時數的參數沿用加班費試算器（月薪= 津貼= 時薪= 平日= 休息日= 假日=）。
+
+import { calculateOvertime, parseOtArgs } from "./overtime.js";
+import { minimumWageForMonth, minimumWageOn } from "./minimumWage.js";
+import { formatDate, today } from "./dates.js";
+
+// 扣款項目判斷：依名稱比對，第一個符合的規則為準
+const DEDUCTION_RULES = [
+  {
+    pattern: /違約|賠償|賠款|損壞|損失|短少|押金|保證金/,
+    verdict: "illegal",
+    reason: "雇主不得預扣工資作為違約金或賠償費用（第26條）",
+  },
+  {
+    pattern: /罰/,
+    verdict: "illegal",
+    reason: "罰款不得從工資扣除，工資應全額直接給付（第22條）",
+  },
+  {
+    pattern: /勞保|健保|勞退|自提|所得稅|扣繳|二代健保/,
+    verdict: "legal",
+    reason: "依法代扣",
+  },
+  {
+    pattern: /福利金/,
+    verdict: "legal",
+    reason: "依職工福利金條例提撥",
+  },
+  {
+    pattern: /扣押|法院|強制執行/,
+    verdict: "legal",
+    reason: "依法院扣押命令",
+  },
+  {
+    pattern: /事假|病假|請假|曠職|缺勤/,
+    verdict: "legal",
+    reason: "未出勤期間可按比例不給工資",
+  },
+  {
+    pattern: /遲到|早退/,
+    verdict: "check",
+    reason: "只能按實際缺勤時間比例扣薪，超過的部分屬變相罰款（第22條）",
+  },
+];
+
+const UNKNOWN_DEDUCTION = {
+  verdict: "check",
+  reason:
+    "工資應全額直接給付（第22條），非法令規定或勞工事先同意的扣款可能違法",
+};
+
+export function classifyDeduction(name) {
+  return (
+    DEDUCTION_RULES.find((rule) => rule.pattern.test(name)) || UNKNOWN_DEDUCTION
+  );
+}
+
+// "勞保:800,健保600、賠償:2000" → [{ name, amount }]
+function parseDeductions(raw) {
+  return String(raw)
+    .split(/[,，、]/)
+    .map((item) => {
+      const m = item.trim().match(/^(.*?)[:：]?(\d[\d.]*)元?$/);
+      if (!m || !m[1]) return null;
+      return { name: m[1], amount: parseFloat(m[2]) };
+    })
+    .filter(Boolean);
+}
+
+// 參數別名 → 內部欄位（薪資、加班時數交給 parseOtArgs）
+function mapKey(k) {
+  const kk = k.toLowerCase();
+  if (/(類型|身分|身份|僱用|雇用|type)/.test(kk)) return "employment";
+  if (/(已領加班費|加班費|otpaid)/.test(kk)) return "otPaid";
+  if (/(扣款|扣除|deduction)/.test(kk)) return "deductions";
+  if (/(年月|月份|年度|year)/.test(kk)) return "period";
+  if (/(工時|hours)/.test(kk)) return "monthlyHours";
+  return kk;
+}
+
+// 參數解析：檢查薪資 月薪=28000 類型=全職 扣款=勞保:700,賠償:2000 平日=2,2 加班費=500
+export function parsePayslipArgs(text) {
+  const body = text.replace(/^檢查薪資/, "").trim();
+  const params = {
+    ...parseOtArgs(body),
+    employment: "fulltime",
+    monthlyHours: NaN,
+    otPaid: NaN,
+    deductions: [],
+    period: null, // { year, month }
+  };
+
+  body
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((t) => {
+      const [rawK, rawV] = t.split("=");
+      if (!rawK || typeof rawV === "undefined") return;
+      const key = mapKey(rawK.trim());
+
+      if (key === "employment") {
+        if (/部分|兼職|打工|計時|part/i.test(rawV))
+          params.employment = "parttime";
+      } else if (key === "otPaid" || key === "monthlyHours") {
+        const val = parseFloat(String(rawV).replace(/[^\d.]/g, ""));
+        if (!Number.isNaN(val)) params[key] = val;
+      } else if (key === "deductions") {
+        params.deductions.push(...parseDeductions(rawV));
+      } else if (key === "period") {
+        const m = String(rawV).match(/^(\d{2,4})(?:[/\-.年](\d{1,2}))?/);
+        if (m) {
+          let year = parseInt(m[1], 10);
+          if (year < 1911) year += 1911; // 民國年
+          params.period = { year, month: m[2] ? parseInt(m[2], 10) : 1 };
+        }
+      }
+    });
+
+  return params;
+}
+
+const money = (n) => `$${Math.round(n).toLocaleString()}`;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// 第21條：回傳 { status: "ok" | "violation" | "unknown", text }
+function checkMinimumWage(p, minimumWage) {
+  if (p.hourly > 0 && !(p.monthly > 0)) {
+    return p.hourly < minimumWage.hourly
+      ? {
+          status: "violation",
+          text: `時薪 $${p.hourly} 低於最低工資時薪 $${minimumWage.hourly}`,
+        }
+      : {
+          status: "ok",
+          text: `時薪 $${p.hourly} ≥ 最低工資時薪 $${minimumWage.hourly}`,
+        };
+  }
+
+  const wages = p.monthly + (p.allowance > 0 ? p.allowance : 0);
+  if (p.employment === "parttime") {
+    if (!(p.monthlyHours > 0)) {
+      return {
+        status: "unknown",
+        text: "部分工時領月薪要換算時薪比較，請加上「工時=」（當月正常工作時數）",
+      };
+    }
+    const hourly = wages / p.monthlyHours;
+    const detail = `${money(wages)} ÷ ${p.monthlyHours} 小時 = 時薪 $${round2(
+      hourly
+    )}`;
+    return hourly < minimumWage.hourly
+      ? {
+          status: "violation",
+          text: `${detail}，低於最低工資時薪 $${minimumWage.hourly}`,
+        }
+      : {
+          status: "ok",
+          text: `${detail} ≥ 最低工資時薪 $${minimumWage.hourly}`,
+        };
+  }
+
+  return wages < minimumWage.monthly
+    ? {
+        status: "violation",
+        text: `月薪（含固定津貼）${money(wages)} 低於最低工資月薪 ${money(
+          minimumWage.monthly
+        )}`,
+      }
+    : {
+        status: "ok",
+        text: `月薪（含固定津貼）${money(wages)} ≥ 最低工資月薪 ${money(
+          minimumWage.monthly
+        )}`,
+      };
+}
+
+const ICON = { ok: "✅", violation: "❌", check: "⚠️", unknown: "❔" };
+const VERDICT_ICON = {
+  legal: ICON.ok,
+  illegal: ICON.violation,
+  check: ICON.check,
+};
+
+// 加班費的計算基準：部分工時領月薪且有工時 → 以實際時薪（月薪含津貼 ÷ 當月工時）計，
+// 不能用全時的 月薪 ÷ 30 ÷ 8（會把時薪算得太低）
+function overtimeParams(p) {
+  if (
+    p.employment !== "parttime" ||
+    !(p.monthly > 0) ||
+    !(p.monthlyHours > 0)
+  ) {
+    return p;
+  }
+  const wages = p.monthly + (p.allowance > 0 ? p.allowance : 0);
+  return { ...p, monthly: NaN, allowance: 0, hourly: wages / p.monthlyHours };
+}
+
+// 檢查 + 排版：{ ok, message, violations? }
+export function checkPayslip(p) {
+  if (!(p.monthly > 0) && !(p.hourly > 0)) {
+    return {
+      ok: false,
+      message: "請提供月薪或時薪（例如：月薪=28000 或 時薪=190）",
+    };
+  }
+
+  const refDate = p.period
+    ? new Date(Date.UTC(p.period.year, p.period.month - 1, 1))
+    : today();
+  const minimumWage = p.period
+    ? minimumWageForMonth(p.period.year, p.period.month)
+    : minimumWageOn(refDate);
+  if (!minimumWage) {
+    return {
+      ok: false,
+      message: `目前的最低工資表沒有 ${formatDate(refDate)} 以前的資料`,
+    };
+  }
+
+  let violations = 0;
+  const lines = [];
+  lines.push("🔍 小勞雞薪資檢查（僅供參考）");
+  lines.push("────────────────────");
+  const typeText = p.employment === "parttime" ? "部分工時" : "全時";
+  lines.push(
+    `📅 適用最低工資：${formatDate(minimumWage.since)} 起 月薪 ${money(
+      minimumWage.monthly
+    )}／時薪 $${minimumWage.hourly}（${typeText}）`
+  );
+
+  // 1. 最低工資
+  const wageCheck = checkMinimumWage(p, minimumWage);
+  if (wageCheck.status === "violation") violations += 1;
+  lines.push("");
+  lines.push("💵 最低工資（第21條）");
+  lines.push(`${ICON[wageCheck.status]} ${wageCheck.text}`);
+
+  // 2. 扣款
+  if (p.deductions.length > 0) {
+    lines.push("");
+    lines.push("🧾 扣款項目（第22條、第26條）");
+    for (const d of p.deductions) {
+      const rule = classifyDeduction(d.name);
+      if (rule.verdict === "illegal") violations += 1;
+      const icon = VERDICT_ICON[rule.verdict];
+      const verdict = rule.verdict === "illegal" ? "違法，" : "";
+      lines.push(
+        `${icon} ${d.name} ${money(d.amount)}：${verdict}${rule.reason}`
+      );
+    }
+  }
+
+  // 3. 加班費
+  // 輸入了已停用的倍數參數也走這裡，讓 calculateOvertime 回覆說明
+  const hasOt =
+    p.weekday.length + p.rest.length + p.holiday.length > 0 ||
+    p.legacyRates.length > 0;
+  if (hasOt) {
+    const otParams = overtimeParams(p);
+    const ot = calculateOvertime(otParams);
+    lines.push("");
+    lines.push("⏱️ 加班費（第24條、第39條）");
+    if (ot.ok) {
+      const basis =
+        otParams === p ? "" : `（以時薪 $${round2(otParams.hourly)} 計）`;
+      lines.push(`• 依法至少：${money(ot.total)}${basis}`);
+      if (p.otPaid >= 0) {
+        const shortfall = ot.total - p.otPaid;
+        if (shortfall >= 1) {
+          violations += 1;
+          lines.push(
+            `${ICON.violation} 實領 ${money(p.otPaid)}，少給 ${money(
+              shortfall
+            )}`
+          );
+        } else {
+          lines.push(`${ICON.ok} 實領 ${money(p.otPaid)}，符合法定倍率`);
+        }
+      } else {
+        lines.push("• 加上「加班費=」（實際領到的金額）就能幫你比對");
+      }
+      for (const w of ot.warnings || []) lines.push(`${ICON.check} ${w}`);
+    } else {
+      lines.push(`${ICON.unknown} ${ot.message}`);
+    }
+  } else if (p.otPaid >= 0) {
+    lines.push("");
+    lines.push("⏱️ 加班費（第24條、第39條）");
+    lines.push("• 要比對加班費，請一併輸入加班時數（平日= 休息日= 假日=）");
+  }
+
+  lines.push("");
+  lines.push(
+    violations > 0
+      ? `🚨 共發現 ${violations} 項可能違法，可以向地方勞工局申訴或撥打 1955 勞工諮詢專線。`
+      : "👍 沒有發現明顯違法的地方。"
+  );
+  lines.push(
+    "⚠️ 小提醒：此為簡化檢查，最低工資不含加班費；實際仍以《勞基法》、《最低工資法》及主管機關解釋為準。"
+  );
+
+  return { ok: true, message: lines.join("\n"), violations };
+}
+
+export function buildPayslipHelpText() {
+  return [
+    "🔍 薪資檢查器",
+    "────────────────────",
+    "請用下列格式輸入（空白分隔）：",
+    "檢查薪資 月薪=28000 扣款=勞保:700,健保:450,賠償:2000",
+    "",
+    "可以填的項目：",
+    "• 月薪=28000 津貼=2000（或 時薪=190）",
+    "• 類型=全職 / 部分工時（部分工時領月薪請加 工時=80）",
+    "• 年月=2025/03（檢查哪個月的薪資，預設今天）",
+    "• 扣款=名稱:金額,名稱:金額",
+    "• 平日=2,2 休息日=4 假日=8 加班費=1200（比對加班費）",
+    "• 部分工時領月薪有填工時時，加班費以 月薪 ÷ 工時 的時薪計算",
+    "",
+    "會檢查：",
+    "• 是否低於最低工資（第21條）",
+    "• 扣款是否合法（第22條、第26條）",
+    "• 加班費是否少給（第24條、第39條）",
+  ].join("\n");
+}
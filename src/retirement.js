@@ -0,0 +1,376 @@
+// src/retirement.js
+// 負責：退休資格與退休金試算。
+//   • 第53條自請退休：工作 15 年以上年滿 55 歲、工作 25 年以上、工作 10 年以上年滿 60 歲
+//   • 第55條舊制退休金：前 15 年每年 2 個基數，之後每年 1 個基數，最高 45 個基數 × 平均工資
+//   • 勞工退休金條例：新制個人專戶每月提繳 6%（可加自提），試算累積金額
+
+import {
+  addDays,
+  addYears,
+  formatDate,
+  formatServiceLength,
+  parseDate,
+  serviceLength,
+  today,
+} from "./dates.js";
+import {
+  averageWageRows,
+  computeAverageWage,
+  parseAverageWageArgs,
+} from "./averageWage.js";
+import { parseDuration, splitService } from "./severance.js";
+
+export const MAX_BASE_POINTS = 45;
+export const EMPLOYER_RATE = 0.06;
+export const MAX_VOLUNTARY_RATE = 0.06;
+export const NEW_SYSTEM_CLAIM_AGE = 60;
+export const MANDATORY_RETIREMENT_AGE = 65; // 第54條
+const DEFAULT_RETURN_RATE = 0.02;
+// 假設報酬率的合理上限（新制專戶長期平均遠低於此），超過多半是打錯
+const MAX_RETURN_RATE = 0.15;
+const MAX_PROJECTION_ROWS = 8;
+
+// 第53條：自請退休條件
+const VOLUNTARY_RULES = [
+  { years: 15, age: 55, label: "工作 15 年以上且年滿 55 歲" },
+  { years: 25, age: 0, label: "工作 25 年以上" },
+  { years: 10, age: 60, label: "工作 10 年以上且年滿 60 歲" },
+];
+
+// 年資換成「年」：第55條未滿半年以半年計、滿半年以一年計
+export function roundPensionYears({ years, months, days }) {
+  if (!months && !days) return years;
+  return years + (months < 6 ? 0.5 : 1);
+}
+
+// 第55條：前 15 年每年 2 個基數，之後每年 1 個基數，最高 45 個
+export function oldSystemBasePoints(service) {
+  const y = roundPensionYears(service);
+  const points = Math.min(y, 15) * 2 + Math.max(0, y - 15);
+  return Math.min(MAX_BASE_POINTS, points);
+}
+
+// 參數別名 → 內部欄位（平均工資可用「工資=」現算，交給 parseAverageWageArgs）
+function mapKey(k) {
+  const kk = k.toLowerCase();
+  if (/(平均工資|平均月薪|avg)/.test(kk)) return "avgWage";
+  if (/(出生|生日|birth)/.test(kk)) return "birthDate";
+  if (/(年齡|age)/.test(kk)) return "age";
+  if (/(到職|報到|hire)/.test(kk)) return "hireDate";
+  if (/(退休日|離職|end)/.test(kk)) return "endDate";
+  if (/(舊制)/.test(kk)) return "oldService";
+  if (/(提繳工資|投保|月提繳|insured)/.test(kk)) return "insuredWage";
+  if (/(自提|voluntary)/.test(kk)) return "voluntaryRate";
+  if (/(報酬率|收益率|return)/.test(kk)) return "returnRate";
+  if (/(已累積|專戶餘額|累積|balance)/.test(kk)) return "balance";
+  return kk;
+}
+
+// 百分比："6%"、"6" → 0.06；"0.5"、"0.5%" → 0.005（不寫 % 也當百分比，避免 0.5 被當成 50%）
+function parseRate(raw) {
+  const s = String(raw).normalize("NFKC").trim(); // 全形 ３％ → 3%
+  const val = parseFloat(s.replace(/[^\d.]/g, ""));
+  return Number.isNaN(val) ? NaN : val / 100;
+}
+
+// 參數解析：試算退休金 出生日=1968/05/01 到職日=1996/03/01 平均工資=52000 提繳工資=50600
+export function parseRetirementArgs(text) {
+  const tokens = text
+    .replace(/^試算退休金/, "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const params = {
+    birthDate: null,
+    age: NaN,
+    hireDate: null,
+    endDate: null,
+    oldService: null,
+    avgWage: NaN,
+    insuredWage: NaN,
+    voluntaryRate: 0,
+    returnRate: DEFAULT_RETURN_RATE,
+    balance: 0,
+    wageInput: parseAverageWageArgs(text),
+  };
+
+  tokens.forEach((t) => {
+    const [rawK, rawV] = t.split("=");
+    if (!rawK || typeof rawV === "undefined") return;
+    const key = mapKey(rawK.trim());
+
+    if (["birthDate", "hireDate", "endDate"].includes(key)) {
+      params[key] = parseDate(rawV);
+    } else if (key === "oldService") {
+      params.oldService = /^(無|沒有|0)$/.test(rawV)
+        ? { years: 0, months: 0, days: 0 }
+        : parseDuration(rawV);
+    } else if (["avgWage", "insuredWage", "balance", "age"].includes(key)) {
+      const val = parseFloat(String(rawV).replace(/[^\d.]/g, ""));
+      if (!Number.isNaN(val)) params[key] = val;
+    } else if (key === "voluntaryRate") {
+      const val = parseRate(rawV);
+      if (!Number.isNaN(val)) {
+        params.voluntaryRate = Math.min(val, MAX_VOLUNTARY_RATE); // 自提上限 6%
+      }
+    } else if (key === "returnRate") {
+      const val = parseRate(rawV);
+      if (!Number.isNaN(val)) params.returnRate = val;
+    }
+  });
+
+  return params;
+}
+
+const isZero = (s) => !s.years && !s.months && !s.days;
+const money = (n) => `$${Math.round(n).toLocaleString()}`;
+const percent = (r) => `${Math.round(r * 10000) / 100}%`;
+
+// 某日的年齡（滿幾歲）
+function ageOn(birthDate, date) {
+  return serviceLength(birthDate, date).years;
+}
+
+// 自請退休資格：{ eligible, rule?, next? }（next：最快何時符合）
+// 只知道年齡（沒有出生日）時，以「離職日時滿 age 歲」推估，next.approx 為 true
+function checkEligibility(hireDate, birthDate, age, endDate) {
+  const years = serviceLength(hireDate, addDays(endDate, 1)).years;
+  const matched = VOLUNTARY_RULES.find((r) => years >= r.years && age >= r.age);
+  if (matched) return { eligible: true, rule: matched };
+
+  // 不符合：每條規則各自最快符合的日期，取最早的
+  let next = null;
+  for (const r of VOLUNTARY_RULES) {
+    const serviceDate = addYears(hireDate, r.years);
+    let date = serviceDate;
+    let approx = false;
+    if (r.age > 0) {
+      const ageDate = birthDate
+        ? addYears(birthDate, r.age)
+        : addYears(endDate, r.age - age);
+      if (ageDate > date) {
+        date = ageDate;
+        approx = !birthDate;
+      }
+    }
+    if (!next || date < next.date) next = { date, rule: r, approx };
+  }
+  return { eligible: false, next };
+}
+
+// 新制個人專戶試算：每年底累積金額（年初餘額滾報酬 + 當年提繳）
+function projectNewSystem(p, years) {
+  const monthly = p.insuredWage * (EMPLOYER_RATE + p.voluntaryRate);
+  const rows = [];
+  let balance = p.balance;
+  for (let y = 1; y <= years; y++) {
+    balance = balance * (1 + p.returnRate) + monthly * 12;
+    rows.push({ year: y, balance });
+  }
+  return { monthly, rows };
+}
+
+// 表格列數太多時等距抽樣（一定保留最後一年）
+function sampleRows(rows) {
+  if (rows.length <= MAX_PROJECTION_ROWS) return rows;
+  const step = Math.ceil(rows.length / (MAX_PROJECTION_ROWS - 1));
+  const out = rows.filter((_, i) => i % step === step - 1);
+  if (out[out.length - 1] !== rows[rows.length - 1]) {
+    out.push(rows[rows.length - 1]);
+  }
+  return out;
+}
+
+// 計算：回傳 { ok, message?, breakdown? }
+export function computeRetirement(p) {
+  if (!p.hireDate) {
+    return { ok: false, message: "請提供到職日（例如：到職日=1996/03/01）" };
+  }
+  if (!p.birthDate && !(p.age > 0)) {
+    return {
+      ok: false,
+      message: "請提供出生日（例如：出生日=1968/05/01）或年齡（例如：年齡=57）",
+    };
+  }
+  if (p.returnRate > MAX_RETURN_RATE) {
+    const rate = percent(p.returnRate);
+    const max = percent(MAX_RETURN_RATE);
+    return {
+      ok: false,
+      message: `報酬率 ${rate} 太高了，請填年報酬率的百分比（例如：報酬率=2%），上限 ${max}`,
+    };
+  }
+  const endDate = p.endDate || today();
+  if (endDate < p.hireDate) {
+    return { ok: false, message: "退休日不能早於到職日喔" };
+  }
+
+  const age = p.birthDate ? ageOn(p.birthDate, endDate) : p.age;
+  const service = splitService({ ...p, endDate });
+  const sections = [];
+  const notes = [];
+
+  // 1. 資格
+  const eligibility = checkEligibility(p.hireDate, p.birthDate, age, endDate);
+  const eligibilityRows = [
+    { label: "退休日", value: formatDate(endDate) },
+    { label: "年齡", value: `${age} 歲` },
+    { label: "年資", value: formatServiceLength(service.total) },
+  ];
+  if (eligibility.eligible) {
+    eligibilityRows.push({
+      label: "自請退休",
+      value: `✅ 符合（${eligibility.rule.label}）`,
+    });
+  } else if (eligibility.next) {
+    // 只給年齡時的推估日期：實際要看生日，可能最多晚將近一年
+    const { date, rule, approx } = eligibility.next;
+    const when = formatDate(date);
+    eligibilityRows.push({ label: "自請退休", value: "❌ 尚未符合" });
+    eligibilityRows.push({
+      label: "最快符合",
+      value: approx
+        ? `約 ${when}（${rule.label}；依年齡推估，填出生日可算得更準）`
+        : `${when}（${rule.label}）`,
+    });
+  } else {
+    eligibilityRows.push({ label: "自請退休", value: "❌ 尚未符合" });
+  }
+  if (age >= MANDATORY_RETIREMENT_AGE) {
+    eligibilityRows.push({
+      label: "強制退休",
+      value: `已滿 ${MANDATORY_RETIREMENT_AGE} 歲，雇主得強制退休（第54條）`,
+    });
+  }
+  sections.push({ heading: "✅ 退休資格（第53條）", rows: eligibilityRows });
+
+  // 2. 舊制退休金
+  let oldPay = 0;
+  if (!isZero(service.old)) {
+    let avgWage = p.avgWage;
+    if (!(avgWage > 0) && p.wageInput?.wages.length > 0) {
+      const avg = computeAverageWage({
+        ...p.wageInput,
+        eventDate: endDate,
+        hireDate: p.hireDate,
+      });
+      if (!avg.ok) return avg;
+      avgWage = avg.result.monthly;
+      sections.push({
+        heading: "🧾 平均工資（勞基法第2條）",
+        rows: averageWageRows(avg.result),
+      });
+    }
+
+    const points = oldSystemBasePoints(service.old);
+    const oldRows = [
+      { label: "舊制年資", value: formatServiceLength(service.old) },
+      {
+        label: "計算年資",
+        value: `${roundPensionYears(service.old)} 年（未滿半年以半年計）`,
+      },
+      { label: "基數", value: `${points} 個（最高 ${MAX_BASE_POINTS}）` },
+    ];
+    if (avgWage > 0) {
+      oldPay = points * avgWage;
+      oldRows.push({ label: "平均工資", value: money(avgWage) });
+      oldRows.push({
+        label: "金額",
+        value: eligibility.eligible
+          ? money(oldPay)
+          : `${money(oldPay)}（符合資格後才能請領）`,
+      });
+    } else {
+      oldRows.push({
+        label: "金額",
+        value: "加上「平均工資=」就能算出金額",
+      });
+    }
+    sections.push({ heading: "🏛️ 舊制退休金（第55條）", rows: oldRows });
+    if (service.oldSource === "auto") {
+      notes.push(
+        "2005/07/01 前的年資先以舊制計算（假設選擇新制並保留舊制年資）；若你的情況不同，可加上「舊制年資=」自行指定。"
+      );
+    }
+  }
+
+  // 3. 新制個人專戶
+  if (p.insuredWage > 0) {
+    const claimAge = NEW_SYSTEM_CLAIM_AGE;
+    const yearsToClaim = p.birthDate
+      ? Math.max(0, claimAge - ageOn(p.birthDate, today()))
+      : Math.max(0, claimAge - age);
+    const projectYears = yearsToClaim > 0 ? yearsToClaim : 10;
+    const { monthly, rows } = projectNewSystem(p, projectYears);
+    const rateText =
+      p.voluntaryRate > 0
+        ? `雇主 6% + 自提 ${percent(p.voluntaryRate)}`
+        : "雇主 6%";
+    const newRows = [
+      { label: "月提繳工資", value: money(p.insuredWage) },
+      { label: "每月提繳", value: `${money(monthly)}（${rateText}）` },
+      { label: "假設報酬率", value: `年 ${percent(p.returnRate)}` },
+    ];
+    if (p.balance > 0) {
+      newRows.push({ label: "目前累積", value: money(p.balance) });
+    }
+    const thisYear = today().getUTCFullYear();
+    const currentAge = p.birthDate ? ageOn(p.birthDate, today()) : null;
+    for (const r of sampleRows(rows)) {
+      const ageText =
+        currentAge !== null ? `（${currentAge + r.year} 歲）` : "";
+      newRows.push({
+        label: `${thisYear + r.year} 年底${ageText}`,
+        value: money(r.balance),
+      });
+    }
+    sections.push({
+      heading: "🆕 新制個人專戶試算（勞工退休金條例）",
+      rows: newRows,
+    });
+    notes.push(
+      yearsToClaim > 0
+        ? `新制專戶滿 ${claimAge} 歲才能請領；表格試算到 ${claimAge} 歲，年資滿 15 年可選月退。`
+        : `已滿 ${claimAge} 歲可以請領新制專戶；表格試算再工作 ${projectYears} 年的累積。`
+    );
+  } else {
+    notes.push("加上「提繳工資=」（月提繳工資）就能試算新制個人專戶累積金額。");
+  }
+
+  notes.push(
+    "此為簡化試算，報酬率只是假設；實際仍以勞基法第53~58條、勞工退休金條例及勞保局資料為準。"
+  );
+
+  return {
+    ok: true,
+    breakdown: {
+      title: "退休金試算 👴",
+      subtitle: "小勞雞幫你看資格、舊制與新制（僅供參考）",
+      sections,
+      total: oldPay > 0 ? { label: "舊制退休金", value: money(oldPay) } : null,
+      notes,
+    },
+  };
+}
+
+export function buildRetirementHelpText() {
+  return [
+    "👴 退休金試算器",
+    "────────────────────",
+    "請用下列格式輸入（空白分隔）：",
+    "試算退休金 出生日=1968/05/01 到職日=1996/03/01 平均工資=52000 提繳工資=50600",
+    "",
+    "可選參數：",
+    "• 退休日=2026/12/31（預設今天）",
+    "• 年齡=57（不想給生日時）",
+    "• 舊制年資=9年4個月（不填依到職日自動判斷）",
+    "• 工資=…（不知道平均工資時，填前 6 個月工資由舊到新）",
+    "• 自提=6%、報酬率=2%、已累積=800000（新制專戶）",
+    "",
+    "自請退休條件（第53條，符合一項即可）：",
+    "• 工作 15 年以上且年滿 55 歲",
+    "• 工作 25 年以上",
+    "• 工作 10 年以上且年滿 60 歲",
+  ].join("\n");
+}
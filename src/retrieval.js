@@ -0,0 +1,139 @@
+// src/retrieval.js
+// 負責：AI 回答前先從本地條文與 FAQ 找出相關資料（檢索增強，RAG），
+//       組成提示詞裡的【參考資料】，回答後再列出實際引用的來源。
+
+import {
+  articleId,
+  articleLabel,
+  articleShortTitle,
+  articleTextBlocks,
+  extractArticleRefs,
+  findArticleByNumber,
+  lawUrl,
+  parseArticleRef,
+} from "./articles.js";
+import { rankFaqs } from "./faqs.js";
+import { searchArticles } from "./search.js";
+
+// 每次最多放幾條條文、幾題 FAQ 進提示詞
+const MAX_ARTICLES = 4;
+const MAX_FAQS = 2;
+// 條文原文只放前段，控制提示詞長度
+const MAX_TEXT_CHARS = 300;
+
+// 接在 system prompt 後面：只能引用參考資料，並標註來源編號
+export const GROUNDING_INSTRUCTIONS =
+  "\n\n回答規則：使用者訊息會附上【參考資料】（本地整理的條文與常見問題），請只根據參考資料回答。" +
+  "提到法條時只能引用參考資料裡有的條文，並在該句句尾標註來源編號，例如 [A1]、[F1]；" +
+  "參考資料沒有的條號不要寫出來。若參考資料不足以回答，請直接說明資料不足，並建議洽詢勞動部或地方勞工局，不要憑記憶補充條號。";
+
+function clip(s, limit) {
+  return s.length > limit ? `${s.slice(0, limit)}…` : s;
+}
+
+function articleSource(art) {
+  const id = articleId(art);
+  const summary = (art.summary || "").replace(/^💡\s*/, "");
+  const text = articleTextBlocks(art).join("\n");
+  const content = [
+    summary && `重點：${summary}`,
+    text && `條文：${clip(text, MAX_TEXT_CHARS)}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  return {
+    type: "article",
+    law: art.law,
+    id,
+    label: articleLabel(id, art.law),
+    title: articleShortTitle(art),
+    url: lawUrl(id, art.law),
+    content,
+  };
+}
+
+function faqSource(faq) {
+  return {
+    type: "faq",
+    id: faq.id,
+    label: `常見問題：${faq.question}`,
+    title: "",
+    url: "",
+    content: `回答：${faq.answer}`,
+  };
+}
+
+// 找出跟問題最相關的本地資料：
+//   1. 問題裡直接點名的條文
+//   2. 關鍵字命中的 FAQ（連同 FAQ 引用的條文）
+//   3. 條文全文搜尋
+// 回傳 [{ key: "A1" | "F1", type, label, title, url, content, ... }]
+export function retrieveSources(
+  question,
+  { articleLimit = MAX_ARTICLES, faqLimit = MAX_FAQS } = {}
+) {
+  const articles = [];
+  const seen = new Set();
+  const addArticle = (art) => {
+    if (!art || articles.length >= articleLimit) return;
+    const key = `${art.law}:${articleId(art)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    articles.push(art);
+  };
+
+  for (const ref of extractArticleRefs(question)) {
+    addArticle(findArticleByNumber(ref.id, ref.law));
+  }
+
+  const faqs = rankFaqs(question, { limit: faqLimit }).map((r) => r.faq);
+  for (const faq of faqs) {
+    for (const ref of faq.articles || []) {
+      const parsed = parseArticleRef(ref);
+      if (parsed) addArticle(findArticleByNumber(parsed.id, parsed.law));
+    }
+  }
+
+  for (const r of searchArticles(question, { limit: articleLimit })) {
+    addArticle(r.article);
+  }
+
+  return [
+    ...articles.map((art, i) => ({ key: `A${i + 1}`, ...articleSource(art) })),
+    ...faqs.map((faq, i) => ({ key: `F${i + 1}`, ...faqSource(faq) })),
+  ];
+}
+
+// 放進使用者訊息的【參考資料】區塊
+export function buildContextBlock(sources) {
+  const entries = sources.map((s) => {
+    const title = s.title && s.title !== s.label ? `（${s.title}）` : "";
+    return `[${s.key}] ${s.label}${title}\n${s.content}`;
+  });
+  return ["【參考資料】", ...entries].join("\n\n");
+}
+
+// 去掉回答裡的來源編號（存進對話記憶時用，下一輪的編號會重新分配）
+export function stripSourceKeys(answer) {
+  return String(answer || "").replace(/\s*\[[AF]\d+\]/g, "");
+}
+
+// 回答中有標註的來源（[A1]、[F2]…）
+export function citedSources(answer, sources) {
+  return sources.filter((s) => String(answer || "").includes(`[${s.key}]`));
+}
+
+// 回答後面的來源清單；AI 沒有標註來源時，列出提供給它的全部資料
+export function formatSourceList(answer, sources) {
+  const cited = citedSources(answer, sources);
+  const list = cited.length ? cited : sources;
+  const heading = cited.length
+    ? "📚 參考來源："
+    : "📚 本次提供給 AI 的參考資料：";
+  const lines = list.map((s) => {
+    const title = s.title && s.title !== s.label ? `｜${s.title}` : "";
+    const url = s.url ? `：${s.url}` : "";
+    return `• [${s.key}] ${s.label}${title}${url}`;
+  });
+  return [heading, ...lines].join("\n");
+}
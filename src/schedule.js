@@ -0,0 +1,497 @@
+// src/schedule.js
+// 負責：班表合規檢查（檢查班表），把使用者貼上的一週（或多週）班表逐條比對：
+//   • 第30條／第30條之1：每日、每週（或變形期間）正常工時
+//   • 第32條：每日工時連同加班不得超過 12 小時
+//   • 第34條：輪班換班間隔至少 11 小時
+//   • 第35條：繼續工作 4 小時至少休息 30 分鐘
+//   • 第36條：每 7 日 1 例假 + 1 休息日（變形工時另有規定）
+//   • 第49條：女性夜間（22:00~06:00）工作
+// 支援 2 週、4 週、8 週變形工時。
+
+const DAY_MINUTES = 24 * 60;
+const WEEKDAYS = "一二三四五六日";
+
+export const MIN_SHIFT_GAP_HOURS = 11;
+export const DAILY_TOTAL_LIMIT = 12;
+const DEFAULT_BREAK_MINUTES = 60;
+const BREAK_REQUIRED_AFTER = 4 * 60;
+const MIN_BREAK_MINUTES = 30;
+const NIGHT_START = 22 * 60;
+const NIGHT_END = 6 * 60;
+const OT_NOTE = "超出部分是加班，需經同意並依第24條給加班費";
+
+// 各制度的工時與休假規則
+// dailyNormal：每日正常工時上限；weeklyNormal：每週上限（null 表示不限）
+// periodWeeks／periodNormal：變形期間與期間內正常工時總數
+// restCycleDays／minRestPerCycle：每幾日至少幾日例假
+// offPeriodWeeks／minOffPerPeriod：變形期間內例假 + 休息日至少幾日
+export const SCHEDULE_MODES = {
+  standard: {
+    label: "一般工時",
+    article: "第30條第1項",
+    dailyNormal: 8,
+    weeklyNormal: 40,
+    periodWeeks: 1,
+    periodNormal: 40,
+    restCycleDays: 7,
+    minRestPerCycle: 1,
+    offPeriodWeeks: 1,
+    minOffPerPeriod: 2,
+  },
+  twoWeek: {
+    label: "2 週變形工時",
+    article: "第30條第2項",
+    dailyNormal: 10,
+    weeklyNormal: 48,
+    periodWeeks: 2,
+    periodNormal: 80,
+    restCycleDays: 7,
+    minRestPerCycle: 1,
+    offPeriodWeeks: 2,
+    minOffPerPeriod: 4,
+  },
+  fourWeek: {
+    label: "4 週變形工時",
+    article: "第30條之1",
+    dailyNormal: 10,
+    weeklyNormal: null,
+    periodWeeks: 4,
+    periodNormal: 160,
+    restCycleDays: 14,
+    minRestPerCycle: 2,
+    offPeriodWeeks: 4,
+    minOffPerPeriod: 8,
+  },
+  eightWeek: {
+    label: "8 週變形工時",
+    article: "第30條第3項",
+    dailyNormal: 8,
+    weeklyNormal: 48,
+    periodWeeks: 8,
+    periodNormal: 320,
+    restCycleDays: 7,
+    minRestPerCycle: 1,
+    offPeriodWeeks: 8,
+    minOffPerPeriod: 16,
+  },
+};
+
+// "9"、"09:30"、"0930" → 分鐘；無法辨識回傳 NaN
+function parseClock(h, m) {
+  const hh = parseInt(h, 10);
+  const mm = m ? parseInt(m, 10) : 0;
+  if (hh > 24 || mm > 59) return NaN;
+  return hh * 60 + mm;
+}
+
+const TIME_RANGE =
+  /(\d{1,2})(?::?(\d{2}))?\s*[-~～〜到至]\s*(\d{1,2})(?::?(\d{2}))?/g;
+const DAY_LABEL = /^(?:週|周|星期|禮拜)?([一二三四五六日天])/;
+
+// 參數別名 → 內部欄位
+function mapKey(k) {
+  const kk = k.toLowerCase();
+  if (/(變形|制度|mode)/.test(kk)) return "mode";
+  if (/(休息|break)/.test(kk)) return "breakMinutes";
+  if (/(性別|gender)/.test(kk)) return "gender";
+  if (/(懷孕|哺乳|妊娠)/.test(kk)) return "pregnant";
+  if (/(夜間同意|夜間工作同意|同意)/.test(kk)) return "nightConsent";
+  return kk;
+}
+
+function parseMode(v) {
+  if (/2|二|兩/.test(v)) return "twoWeek";
+  if (/4|四/.test(v)) return "fourWeek";
+  if (/8|八/.test(v)) return "eightWeek";
+  return "standard";
+}
+
+const YES = /^(是|有|y|yes|true)$/i;
+
+// 參數解析：檢查班表 一 09-18, 二 09-21, 三 休, 四 22-07 [變形=2週] [休息=60] [性別=女]
+// 回傳 { days: [{ index, weekday, shifts: [{ start, end }], off }], mode, ... , invalid: [] }
+export function parseScheduleArgs(text) {
+  const params = {
+    days: [],
+    mode: "standard",
+    breakMinutes: NaN, // 未填：超過 4 小時的班以休息 60 分鐘計
+    gender: null,
+    pregnant: false,
+    nightConsent: false,
+    invalid: [],
+  };
+
+  // 先抽出 key=value 參數，剩下的才是班表
+  const body = text
+    .replace(/^檢查班表/, "")
+    .replace(/(\S+?)=(\S+)/g, (_, rawK, rawV) => {
+      const key = mapKey(rawK.trim());
+      if (key === "mode") params.mode = parseMode(rawV);
+      else if (key === "breakMinutes") {
+        const val = parseFloat(String(rawV).replace(/[^\d.]/g, ""));
+        if (!Number.isNaN(val)) {
+          // 休息=1 小時 / 1.5 → 當成小時
+          params.breakMinutes = val <= 4 ? val * 60 : val;
+        }
+      } else if (key === "gender") {
+        if (/女|f/i.test(rawV)) params.gender = "female";
+      } else if (key === "pregnant") params.pregnant = YES.test(rawV);
+      else if (key === "nightConsent") params.nightConsent = YES.test(rawV);
+      return " ";
+    });
+
+  let index = -1;
+  let prevWeekday = null;
+  for (const entry of body.split(/[,，;；\n]/)) {
+    const s = entry.trim();
+    if (!s) continue;
+    const dm = s.match(DAY_LABEL);
+    if (!dm) {
+      params.invalid.push(s);
+      continue;
+    }
+    const weekday = dm[1] === "天" ? 6 : WEEKDAYS.indexOf(dm[1]);
+    // 依貼上的順序往後排：遇到同一天或更早的星期就算下一週
+    index =
+      prevWeekday === null
+        ? weekday
+        : index + ((weekday - prevWeekday + 7) % 7 || 7);
+    prevWeekday = weekday;
+
+    const rest = s.slice(dm[0].length);
+    const shifts = [];
+    for (const m of rest.matchAll(TIME_RANGE)) {
+      const start = parseClock(m[1], m[2]);
+      let end = parseClock(m[3], m[4]);
+      if (Number.isNaN(start) || Number.isNaN(end)) continue;
+      if (end <= start) end += DAY_MINUTES; // 跨夜班
+      shifts.push({ start, end });
+    }
+    if (shifts.length === 0 && !/休|例|off/i.test(rest)) {
+      params.invalid.push(s);
+      continue;
+    }
+    params.days.push({ index, weekday, shifts, off: shifts.length === 0 });
+  }
+
+  return params;
+}
+
+const fmtClock = (min) => {
+  const m = ((min % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  const hh = String(Math.floor(m / 60)).padStart(2, "0");
+  const mm = String(m % 60).padStart(2, "0");
+  return `${hh}:${mm}`;
+};
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// 班與夜間時段（22:00~06:00）是否重疊
+function overlapsNight({ start, end }) {
+  for (let base = -DAY_MINUTES; base <= DAY_MINUTES; base += DAY_MINUTES) {
+    const nightFrom = base + NIGHT_START;
+    const nightTo = base + DAY_MINUTES + NIGHT_END;
+    if (start < nightTo && end > nightFrom) return true;
+  }
+  return false;
+}
+
+// 檢查：回傳 { ok, message? } 或 { ok, items, notes, mode, days, hoursByDay, ... }
+// items = [{ level: "violation" | "check", article, text }]
+export function checkSchedule(p) {
+  if (p.invalid.length) {
+    const bad = p.invalid.join("、");
+    return {
+      ok: false,
+      message: `看不懂這幾段班表：「${bad}」\n請用「一 09-18」這種格式，休假寫「三 休」`,
+    };
+  }
+  const workDays = p.days.filter((d) => !d.off);
+  if (workDays.length === 0) {
+    return { ok: false, message: "請至少貼上一天的班（例如：一 09-18）" };
+  }
+
+  const mode = SCHEDULE_MODES[p.mode] || SCHEDULE_MODES.standard;
+  const breakGiven = !Number.isNaN(p.breakMinutes);
+  const items = [];
+  const violation = (article, text) =>
+    items.push({ level: "violation", article, text });
+  const check = (article, text) =>
+    items.push({ level: "check", article, text });
+
+  // 每一天的工時
+  const firstIndex = p.days[0].index;
+  const totalDays = p.days[p.days.length - 1].index - firstIndex + 1;
+  const hoursByDay = new Map(); // index → 正常 + 延長工時（小時）
+  const dayLabel = (d) =>
+    `第 ${d.index - firstIndex + 1} 天（${WEEKDAYS[d.weekday]}）`;
+
+  for (const d of workDays) {
+    const day = dayLabel(d);
+    let minutes = 0;
+    for (const shift of d.shifts) {
+      const span = shift.end - shift.start;
+      const breakMin = breakGiven
+        ? p.breakMinutes
+        : span > BREAK_REQUIRED_AFTER
+        ? DEFAULT_BREAK_MINUTES
+        : 0;
+      minutes += span - Math.min(breakMin, span);
+
+      if (
+        span > BREAK_REQUIRED_AFTER &&
+        breakGiven &&
+        breakMin < MIN_BREAK_MINUTES
+      ) {
+        const time = `${fmtClock(shift.start)}-${fmtClock(shift.end)}`;
+        violation(
+          "第35條",
+          `${day} ${time} 連續工作超過 4 小時，休息只有 ${breakMin} 分鐘（至少 ${MIN_BREAK_MINUTES} 分鐘）`
+        );
+      }
+    }
+    const hours = minutes / 60;
+    const shown = round1(hours);
+    hoursByDay.set(d.index, hours);
+
+    if (hours > DAILY_TOTAL_LIMIT) {
+      violation(
+        "第32條",
+        `${day} 工作 ${shown} 小時，超過每日 ${DAILY_TOTAL_LIMIT} 小時上限`
+      );
+    } else if (hours > mode.dailyNormal) {
+      const limit = mode.dailyNormal;
+      check(
+        mode.article,
+        `${day} 工作 ${shown} 小時，超過每日正常工時 ${limit} 小時；${OT_NOTE}`
+      );
+    }
+  }
+
+  // 換班間隔（依時間順序排好所有班）
+  const allShifts = workDays
+    .flatMap((d) =>
+      d.shifts.map((s) => ({
+        day: d,
+        start: d.index * DAY_MINUTES + s.start,
+        end: d.index * DAY_MINUTES + s.end,
+      }))
+    )
+    .sort((a, b) => a.start - b.start);
+  for (let i = 1; i < allShifts.length; i++) {
+    const prev = allShifts[i - 1];
+    const cur = allShifts[i];
+    if (prev.day === cur.day) continue; // 同一天的分段班
+    const gap = (cur.start - prev.end) / 60;
+    if (gap < 0) {
+      violation(
+        "第34條",
+        `${dayLabel(prev.day)} 的班還沒結束，${dayLabel(cur.day)} 的班就開始了`
+      );
+    } else if (gap < MIN_SHIFT_GAP_HOURS) {
+      const off = `${dayLabel(prev.day)} ${fmtClock(prev.end)} 下班`;
+      const on = `${dayLabel(cur.day)} ${fmtClock(cur.start)} 上班`;
+      const hours = round1(gap);
+      violation(
+        "第34條",
+        `${off}到${on}，只隔 ${hours} 小時（至少 ${MIN_SHIFT_GAP_HOURS} 小時）`
+      );
+    }
+  }
+
+  // 依週／變形期間加總（只看完整的期間）
+  const notes = [];
+  const lastIndex = firstIndex + totalDays;
+  const forEachPeriod = (length, fn) => {
+    for (let from = firstIndex, n = 1; from + length <= lastIndex; n++) {
+      fn(from, n);
+      from += length;
+    }
+  };
+  const daysOff = (from, length) =>
+    length -
+    workDays.filter((d) => d.index >= from && d.index < from + length).length;
+  const hoursIn = (from, length) => {
+    let sum = 0;
+    for (const [index, h] of hoursByDay) {
+      if (index >= from && index < from + length) sum += h;
+    }
+    return sum;
+  };
+
+  // 每週正常工時
+  if (mode.weeklyNormal) {
+    const limit = mode.weeklyNormal;
+    forEachPeriod(7, (from, n) => {
+      const h = hoursIn(from, 7);
+      if (h > limit) {
+        check(
+          mode.article,
+          `第 ${n} 週工作 ${round1(h)} 小時，超過每週 ${limit} 小時；${OT_NOTE}`
+        );
+      }
+    });
+  }
+
+  // 變形期間正常工時總數
+  if (mode.periodWeeks > 1) {
+    const weeks = mode.periodWeeks;
+    const limit = mode.periodNormal;
+    if (totalDays < weeks * 7) {
+      notes.push(
+        `${mode.label}要看滿 ${weeks} 週的總工時與休假，貼完整 ${weeks} 週班表才能檢查。`
+      );
+    }
+    forEachPeriod(weeks * 7, (from) => {
+      const h = round1(hoursIn(from, weeks * 7));
+      if (h > limit) {
+        check(
+          mode.article,
+          `${weeks} 週共工作 ${h} 小時，超過正常工時 ${limit} 小時；${OT_NOTE}`
+        );
+      }
+    });
+  }
+
+  // 例假：每個週期至少幾天
+  forEachPeriod(mode.restCycleDays, (from, n) => {
+    const off = daysOff(from, mode.restCycleDays);
+    if (off < mode.minRestPerCycle) {
+      const cycle = `第 ${n} 個 ${mode.restCycleDays} 日週期`;
+      violation(
+        "第36條",
+        `${cycle}只休 ${off} 天，至少要有 ${mode.minRestPerCycle} 天例假`
+      );
+    }
+  });
+
+  // 例假 + 休息日：每個期間至少幾天（少的部分等於休息日出勤）
+  const offWeeks = mode.offPeriodWeeks;
+  forEachPeriod(offWeeks * 7, (from) => {
+    const off = daysOff(from, offWeeks * 7);
+    if (off >= mode.minRestPerCycle && off < mode.minOffPerPeriod) {
+      const period = offWeeks === 1 ? "這 7 天" : `${offWeeks} 週內`;
+      check(
+        "第36條",
+        `${period}只休 ${off} 天，例假加休息日應有 ${mode.minOffPerPeriod} 天；休息日出勤需經本人同意，並依第24條第2項給加班費`
+      );
+    }
+  });
+  if (totalDays < 7) {
+    notes.push("貼滿 7 天（含休假日）才能檢查每週工時與例假、休息日。");
+  }
+
+  // 女性夜間工作
+  if (p.gender === "female") {
+    const nightDays = workDays.filter((d) => d.shifts.some(overlapsNight));
+    if (nightDays.length > 0) {
+      const list = nightDays.map(dayLabel).join("、");
+      if (p.pregnant) {
+        violation(
+          "第49條",
+          `${list} 排到 22:00~06:00，妊娠或哺乳期間不得在夜間工作`
+        );
+      } else if (!p.nightConsent) {
+        check(
+          "第49條",
+          `${list} 排到 22:00~06:00：女性夜間工作需經工會或勞資會議同意，並提供安全衛生設施與交通工具或宿舍（本人也可以因健康或其他正當理由拒絕）`
+        );
+      }
+    }
+  }
+
+  return {
+    ok: true,
+    items,
+    notes,
+    mode,
+    modeKey: p.mode,
+    breakGiven,
+    days: p.days,
+    hoursByDay,
+  };
+}
+
+export function formatScheduleResult(r) {
+  const lines = [];
+  lines.push("🗓️ 小勞雞班表檢查（僅供參考）");
+  lines.push("────────────────────");
+  lines.push(`📐 制度：${r.mode.label}（${r.mode.article}）`);
+  const firstIndex = r.days[0].index;
+  for (const d of r.days) {
+    const n = d.index - firstIndex + 1;
+    const label = `${n}.${WEEKDAYS[d.weekday]}`;
+    if (d.off) {
+      lines.push(`• ${label} 休`);
+      continue;
+    }
+    const times = d.shifts
+      .map((s) => `${fmtClock(s.start)}-${fmtClock(s.end)}`)
+      .join("、");
+    lines.push(
+      `• ${label} ${times}（${round1(r.hoursByDay.get(d.index))} 小時）`
+    );
+  }
+  if (!r.breakGiven) {
+    lines.push(
+      "（沒填休息時間：超過 4 小時的班以休息 60 分鐘計，可加「休息=30」調整）"
+    );
+  }
+
+  const violations = r.items.filter((i) => i.level === "violation");
+  const checks = r.items.filter((i) => i.level === "check");
+
+  lines.push("");
+  if (violations.length === 0 && checks.length === 0) {
+    lines.push("✅ 沒有發現違反工時、休息、例假規定的地方。");
+  }
+  if (violations.length > 0) {
+    lines.push(`❌ 違法（${violations.length} 項）`);
+    for (const v of violations) lines.push(`• ${v.text}（${v.article}）`);
+  }
+  if (checks.length > 0) {
+    if (violations.length > 0) lines.push("");
+    lines.push(`⚠️ 要注意（${checks.length} 項）`);
+    for (const c of checks) lines.push(`• ${c.text}（${c.article}）`);
+  }
+
+  if (r.notes.length > 0) {
+    lines.push("");
+    for (const n of r.notes) lines.push(`💡 ${n}`);
+  }
+
+  lines.push("");
+  lines.push(
+    r.modeKey === "standard"
+      ? "⚠️ 小提醒：此為簡化檢查，實際仍以《勞基法》及主管機關解釋為準。"
+      : "⚠️ 小提醒：變形工時須經工會或勞資會議同意（4 週變形限指定行業），此為簡化檢查，實際仍以《勞基法》及主管機關解釋為準。"
+  );
+
+  return lines.join("\n");
+}
+
+// 檢查 + 排版：{ ok, message, result? }
+export function computeScheduleCheck(p) {
+  const result = checkSchedule(p);
+  if (!result.ok) return result;
+  return { ok: true, message: formatScheduleResult(result), result };
+}
+
+export function buildScheduleHelpText() {
+  return [
+    "🗓️ 班表檢查器",
+    "────────────────────",
+    "把班表照這樣貼上（逗號或換行分隔）：",
+    "檢查班表 一 09-18, 二 09-21, 三 休, 四 13-22, 五 09-18, 六 休, 日 休",
+    "",
+    "• 跨夜班直接寫，例如：四 22-07",
+    "• 分段班寫在同一天，例如：二 09-13 17-21",
+    "• 多週班表就接著往下貼，回到「一」會自動算下一週",
+    "",
+    "可選參數：",
+    "• 變形=2週 / 4週 / 8週（變形工時）",
+    "• 休息=30（每班休息分鐘數，預設超過 4 小時的班休 60 分鐘）",
+    "• 性別=女（檢查夜間工作，可再加 懷孕=是 或 夜間同意=是）",
+    "",
+    "會檢查：正常工時（第30條）、每日 12 小時（第32條）、換班間隔 11 小時（第34條）、休息（第35條）、例假與休息日（第36條）、女性夜間工作（第49條）。",
+  ].join("\n");
+}
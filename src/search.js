@@ -0,0 +1,154 @@
+// src/search.js
+// 負責：條文全文搜尋（標題 + 摘要 + 關鍵字），以中文字元 bigram 建索引並依相關度排序。
+
+import { getArticles, articleId } from "./articles.js";
+
+// 欄位權重：標題、關鍵字比摘要更能代表條文主題
+const FIELD_WEIGHTS = { title: 3, keywords: 2.5, summary: 1 };
+// 低於第一名分數此比例的結果視為雜訊
+const MIN_RELATIVE_SCORE = 0.2;
+
+// 只保留中英數字，其餘（空白、標點、emoji）都當作分隔
+function segments(text) {
+  if (!text) return [];
+  return text
+    .toLowerCase()
+    .split(/[^0-9a-z㐀-鿿]+/)
+    .filter(Boolean);
+}
+
+// 中文沒有空白斷詞 → 用相鄰兩字（bigram）當索引單位；單字片段保留原字
+export function tokenize(text) {
+  const tokens = [];
+  for (const seg of segments(text)) {
+    const chars = Array.from(seg);
+    if (chars.length === 1) {
+      tokens.push(seg);
+      continue;
+    }
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return tokens;
+}
+
+function countTokens(tokens) {
+  const tf = new Map();
+  for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+}
+
+// 索引快取：條文陣列換了（例如重新載入）才重建
+let cached = { source: null, docs: [], df: new Map() };
+
+function getIndex() {
+  const articles = getArticles();
+  if (cached.source === articles) return cached;
+
+  const df = new Map();
+  const docs = articles.map((art) => {
+    const fields = {
+      title: countTokens(tokenize(art.title)),
+      keywords: countTokens(tokenize((art.keywords || []).join(" "))),
+      summary: countTokens(tokenize(art.summary)),
+    };
+    const seen = new Set();
+    for (const tf of Object.values(fields)) {
+      for (const t of tf.keys()) seen.add(t);
+    }
+    for (const t of seen) df.set(t, (df.get(t) || 0) + 1);
+    return { art, fields };
+  });
+
+  cached = { source: articles, docs, df };
+  console.log(`[INFO] 條文搜尋索引已建立（${docs.length} 條）`);
+  return cached;
+}
+
+// 摘要片段：以第一個命中位置為中心截取，並標出所有命中區段
+// 回傳 { text, hits: [[start, end], ...] }（以字元為單位，可直接切成 Flex span）
+function buildSnippet(summary, queryTokens, width = 60) {
+  const text = (summary || "").replace(/^💡\s*/, "");
+  const chars = Array.from(text);
+  const lower = chars.map((c) => c.toLowerCase());
+
+  const marks = new Array(chars.length).fill(false);
+  for (const qt of queryTokens) {
+    const q = Array.from(qt);
+    for (let i = 0; i + q.length <= lower.length; i++) {
+      if (q.every((c, j) => lower[i + j] === c)) {
+        for (let j = 0; j < q.length; j++) marks[i + j] = true;
+      }
+    }
+  }
+
+  const first = marks.indexOf(true);
+  let start = 0;
+  if (first > width / 3) start = first - Math.floor(width / 3);
+  const end = Math.min(chars.length, start + width);
+
+  const hits = [];
+  for (let i = start; i < end; i++) {
+    if (!marks[i]) continue;
+    const last = hits[hits.length - 1];
+    if (last && last[1] === i - start) last[1] += 1;
+    else hits.push([i - start, i - start + 1]);
+  }
+
+  return {
+    text:
+      (start > 0 ? "…" : "") +
+      chars.slice(start, end).join("") +
+      (end < chars.length ? "…" : ""),
+    hits: start > 0 ? hits.map(([a, b]) => [a + 1, b + 1]) : hits,
+  };
+}
+
+// 全文搜尋：回傳相關度最高的前 limit 條
+// [{ id, article, score, snippet: { text, hits } }]
+export function searchArticles(query, { limit = 5 } = {}) {
+  const queryTokens = Array.from(new Set(tokenize(query)));
+  if (queryTokens.length === 0) return [];
+
+  const { docs, df } = getIndex();
+  const N = docs.length || 1;
+  const q = (query || "").toLowerCase().replace(/\s+/g, "");
+
+  const results = [];
+  for (const { art, fields } of docs) {
+    let score = 0;
+    let matched = 0;
+    for (const t of queryTokens) {
+      const idf = Math.log(1 + N / (1 + (df.get(t) || 0)));
+      let hit = false;
+      for (const [field, tf] of Object.entries(fields)) {
+        const n = tf.get(t) || 0;
+        if (!n) continue;
+        hit = true;
+        // 次數飽和：出現越多次加分越少
+        score += FIELD_WEIGHTS[field] * idf * (n / (n + 1));
+      }
+      if (hit) matched += 1;
+    }
+    if (score === 0) continue;
+
+    // 命中比例越高越好；整串查詢字直接出現在關鍵字／標題再加分
+    score *= matched / queryTokens.length;
+    if ((art.keywords || []).some((k) => k.toLowerCase().includes(q)))
+      score *= 1.5;
+    if ((art.title || "").toLowerCase().includes(q)) score *= 1.3;
+
+    results.push({
+      id: articleId(art),
+      article: art,
+      score,
+      snippet: buildSnippet(art.summary, queryTokens),
+    });
+  }
+
+  // 分數太低（只沾到一兩個常見字）的結果不列出
+  results.sort((a, b) => b.score - a.score);
+  const minScore = (results[0]?.score || 0) * MIN_RELATIVE_SCORE;
+  return results.filter((r) => r.score >= minScore).slice(0, limit);
+}
@@ -0,0 +1,346 @@
+// src/severance.js
+// 負責：資遣費與預告工資試算。
+//   • 新制（勞工退休金條例第12條）：每滿 1 年 0.5 個月平均工資，最高 6 個月
+//   • 舊制（勞基法第17條）：每滿 1 年 1 個月平均工資，未滿 1 個月以 1 個月計
+//   • 預告期間（第16條）：未預告應給預告工資，預告期間可請謀職假
+
+import {
+  addDays,
+  formatDate,
+  formatServiceLength,
+  parseDate,
+  serviceLength,
+  today,
+} from "./dates.js";
+import {
+  averageWageRows,
+  computeAverageWage,
+  parseAverageWageArgs,
+} from "./averageWage.js";
+
+// 勞退新制施行日：之前的年資屬舊制
+export const NEW_PENSION_START = new Date(Date.UTC(2005, 6, 1));
+export const NEW_SYSTEM_CAP_MONTHS = 6;
+
+// 第16條：依年資決定預告天數（未滿 3 個月無預告期間）
+export function noticeDaysFor(service) {
+  const totalMonths = service.years * 12 + service.months;
+  if (totalMonths < 3) return 0;
+  if (service.years < 1) return 10;
+  if (service.years < 3) return 20;
+  return 30;
+}
+
+// 謀職假：預告期間每星期最多 2 日（第16條第2項）；不滿一星期的天數依比例計，
+// 以小時為單位無條件捨去（20 天 → 20 ÷ 7 × 2 日 = 45.7 小時 → 45 小時）
+export function jobSearchLeaveHours(noticeDays) {
+  return Math.floor(((noticeDays * 2) / 7) * 8);
+}
+
+// "5年3個月"、"5年"、"18個月"、"5.5"（年）→ { years, months, days }；無法辨識回傳 null
+export function parseDuration(text) {
+  const s = String(text || "").replace(/\s+/g, "");
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const totalMonths = Math.round(parseFloat(s) * 12);
+    return {
+      years: Math.floor(totalMonths / 12),
+      months: totalMonths % 12,
+      days: 0,
+    };
+  }
+  const y = s.match(/(\d+)年/);
+  const m = s.match(/(\d+)個?月/);
+  const d = s.match(/(\d+)[天日]/);
+  if (!y && !m && !d) return null;
+  const months =
+    (y ? parseInt(y[1], 10) * 12 : 0) + (m ? parseInt(m[1], 10) : 0);
+  return {
+    years: Math.floor(months / 12),
+    months: months % 12,
+    days: d ? parseInt(d[1], 10) : 0,
+  };
+}
+
+// 參數別名 → 內部欄位
+function mapKey(k) {
+  const kk = k.toLowerCase();
+  if (/(平均工資|平均月薪|月平均|avg)/.test(kk)) return "avgWage";
+  if (/(月薪|monthly)/.test(kk)) return "avgWage";
+  if (/(到職|報到|hire)/.test(kk)) return "hireDate";
+  if (/(離職|資遣日|終止|end)/.test(kk)) return "endDate";
+  if (/(舊制)/.test(kk)) return "oldService";
+  if (/(預告天數|已預告天數)/.test(kk)) return "noticeGiven";
+  if (/(已預告|有預告)/.test(kk)) return "noticed";
+  return kk;
+}
+
+// 參數解析：試算資遣費 平均工資=45000 到職日=2015/03/01 離職日=2026/10/31 [舊制年資=3年] [已預告=否]
+export function parseSeveranceArgs(text) {
+  const tokens = text
+    .replace(/^試算資遣費/, "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const params = {
+    avgWage: NaN,
+    hireDate: null,
+    endDate: null,
+    oldService: null, // null：依到職日自動判斷
+    noticeGiven: 0, // 已預告天數
+    // 沒給平均工資時，可用「工資=」各月工資現算
+    wageInput: parseAverageWageArgs(text),
+  };
+
+  tokens.forEach((t) => {
+    const [rawK, rawV] = t.split("=");
+    if (!rawK || typeof rawV === "undefined") return;
+    const key = mapKey(rawK.trim());
+
+    if (key === "avgWage") {
+      const val = parseFloat(String(rawV).replace(/[^\d.]/g, ""));
+      if (!Number.isNaN(val)) params.avgWage = val;
+    } else if (["hireDate", "endDate"].includes(key)) {
+      params[key] = parseDate(rawV);
+    } else if (key === "oldService") {
+      params.oldService = /^(無|沒有|0)$/.test(rawV)
+        ? { years: 0, months: 0, days: 0 }
+        : parseDuration(rawV);
+    } else if (key === "noticeGiven") {
+      const val = parseInt(String(rawV).replace(/[^\d]/g, ""), 10);
+      if (!Number.isNaN(val)) params.noticeGiven = val;
+    } else if (key === "noticed") {
+      params.noticeGiven = /^(是|有|yes|y)$/i.test(rawV) ? Infinity : 0;
+    }
+  });
+
+  return params;
+}
+
+// 年資換算成「年」（含零頭）
+function serviceYears({ years, months, days }) {
+  return years + months / 12 + days / 365;
+}
+
+// 舊制基數：滿 1 年 1 個月；未滿 1 年依比例；未滿 1 個月以 1 個月計
+function oldSystemBase({ years, months, days }) {
+  return years + (months + (days > 0 ? 1 : 0)) / 12;
+}
+
+// 新制基數：每滿 1 年 0.5 個月，未滿 1 年依比例，最高 6 個月
+function newSystemBase(service) {
+  return Math.min(NEW_SYSTEM_CAP_MONTHS, serviceYears(service) * 0.5);
+}
+
+// 拆舊制／新制年資（退休金試算也會用到）
+// p = { hireDate, endDate, oldService? } → { total, old, new, oldSource }
+export function splitService(p) {
+  const total = serviceLength(p.hireDate, addDays(p.endDate, 1));
+
+  if (p.oldService) {
+    const oldMonths = p.oldService.years * 12 + p.oldService.months;
+    const totalMonths = total.years * 12 + total.months;
+    const newMonths = Math.max(0, totalMonths - oldMonths);
+    const newDays = Math.max(0, total.days - p.oldService.days);
+    return {
+      total,
+      old: p.oldService,
+      new: {
+        years: Math.floor(newMonths / 12),
+        months: newMonths % 12,
+        days: newDays,
+      },
+      oldSource: "manual",
+    };
+  }
+
+  if (p.hireDate < NEW_PENSION_START) {
+    const endOfOld =
+      p.endDate < NEW_PENSION_START ? addDays(p.endDate, 1) : NEW_PENSION_START;
+    const newStart = p.endDate < NEW_PENSION_START ? null : NEW_PENSION_START;
+    return {
+      total,
+      old: serviceLength(p.hireDate, endOfOld),
+      new: newStart
+        ? serviceLength(newStart, addDays(p.endDate, 1))
+        : { years: 0, months: 0, days: 0 },
+      oldSource: "auto",
+    };
+  }
+
+  return {
+    total,
+    old: { years: 0, months: 0, days: 0 },
+    new: total,
+    oldSource: "none",
+  };
+}
+
+const isZero = (s) => !s.years && !s.months && !s.days;
+const round2 = (n) => Math.round(n * 100) / 100;
+const money = (n) => `$${Math.round(n).toLocaleString()}`;
+
+// 計算：回傳 { ok, message?, breakdown? }
+// breakdown = { title, subtitle, sections: [{ heading, rows: [{ label, value }] }], total, notes }
+export function computeSeverance(p) {
+  const hasWages = p.wageInput?.wages.length > 0;
+  if (!(p.avgWage > 0) && !hasWages) {
+    return {
+      ok: false,
+      message:
+        "請提供平均工資（例如：平均工資=45000），或前 6 個月工資（例如：工資=45000,45000,46000,45000,48000,45000）",
+    };
+  }
+  if (!p.hireDate) {
+    return { ok: false, message: "請提供到職日（例如：到職日=2015/03/01）" };
+  }
+  const endDate = p.endDate || today();
+  if (endDate < p.hireDate) {
+    return { ok: false, message: "離職日不能早於到職日喔" };
+  }
+
+  // 平均工資：直接給 > 用各月工資現算（事由日 = 離職日）
+  let avgDetail = null;
+  if (!(p.avgWage > 0)) {
+    const avg = computeAverageWage({
+      ...p.wageInput,
+      eventDate: endDate,
+      hireDate: p.hireDate,
+    });
+    if (!avg.ok) return avg;
+    avgDetail = avg.result;
+    p = { ...p, avgWage: avgDetail.monthly };
+  }
+
+  const service = splitService({ ...p, endDate });
+  const dailyWage = p.avgWage / 30;
+
+  const oldBase = isZero(service.old) ? 0 : oldSystemBase(service.old);
+  const newBase = isZero(service.new) ? 0 : newSystemBase(service.new);
+  const oldPay = p.avgWage * oldBase;
+  const newPay = p.avgWage * newBase;
+
+  const noticeDays = noticeDaysFor(service.total);
+  const noticeShort = Math.max(0, noticeDays - p.noticeGiven);
+  const noticePay = dailyWage * noticeShort;
+  const searchHours = jobSearchLeaveHours(noticeDays);
+  const searchDays = Math.floor((searchHours / 8) * 10) / 10;
+
+  const sections = [
+    {
+      heading: "📅 年資",
+      rows: [
+        {
+          label: "期間",
+          value: `${formatDate(p.hireDate)}～${formatDate(endDate)}`,
+        },
+        { label: "總年資", value: formatServiceLength(service.total) },
+        {
+          label: "平均工資",
+          value: `${money(p.avgWage)}／月（日 ${money(dailyWage)}）`,
+        },
+      ],
+    },
+  ];
+  if (avgDetail) {
+    sections.push({
+      heading: "🧾 平均工資（勞基法第2條）",
+      rows: averageWageRows(avgDetail),
+    });
+  }
+
+  if (oldBase > 0) {
+    sections.push({
+      heading: "🏛️ 舊制資遣費（勞基法第17條）",
+      rows: [
+        { label: "舊制年資", value: formatServiceLength(service.old) },
+        { label: "基數", value: `${round2(oldBase)} 個月` },
+        { label: "金額", value: money(oldPay) },
+      ],
+    });
+  }
+
+  if (newBase > 0 || oldBase === 0) {
+    const capped =
+      serviceYears(service.new) * 0.5 > NEW_SYSTEM_CAP_MONTHS
+        ? `（已達上限 ${NEW_SYSTEM_CAP_MONTHS} 個月）`
+        : "";
+    sections.push({
+      heading: "🆕 新制資遣費（勞退條例第12條）",
+      rows: [
+        { label: "新制年資", value: formatServiceLength(service.new) },
+        { label: "基數", value: `${round2(newBase)} 個月${capped}` },
+        { label: "金額", value: money(newPay) },
+      ],
+    });
+  }
+
+  const noticeRows = [];
+  if (noticeDays === 0) {
+    noticeRows.push({
+      label: "預告期間",
+      value: "年資未滿 3 個月，無預告期間",
+    });
+  } else {
+    noticeRows.push({ label: "應預告", value: `${noticeDays} 天` });
+    noticeRows.push({
+      label: "未預告天數",
+      value: `${noticeShort} 天`,
+    });
+    noticeRows.push({ label: "預告工資", value: money(noticePay) });
+    noticeRows.push({
+      label: "謀職假上限",
+      value: `約 ${searchDays} 天（${searchHours} 小時，工資照給）`,
+    });
+  }
+  sections.push({ heading: "📣 預告期間（勞基法第16條）", rows: noticeRows });
+
+  const notes = [];
+  if (service.oldSource === "auto") {
+    notes.push(
+      "2005/07/01 前的年資先以舊制計算（假設選擇新制並保留舊制年資）；若你的情況不同，可加上「舊制年資=」自行指定。"
+    );
+  }
+  notes.push(
+    "平均工資為資遣前 6 個月工資總額 ÷ 總日數 × 30（勞基法第2條），可先用「試算平均工資」算出來。"
+  );
+  notes.push(
+    "此為簡化試算，實際仍以勞基法第16、17條、勞工退休金條例第12條及主管機關解釋為準。"
+  );
+
+  return {
+    ok: true,
+    breakdown: {
+      title: "資遣費試算 💼",
+      subtitle: "小勞雞幫你逐項拆開算（僅供參考）",
+      sections,
+      total: {
+        label: "合計（資遣費 + 預告工資）",
+        value: money(oldPay + newPay + noticePay),
+      },
+      notes,
+    },
+  };
+}
+
+export function buildSeveranceHelpText() {
+  return [
+    "💼 資遣費試算器",
+    "────────────────────",
+    "請用下列格式輸入（空白分隔）：",
+    "試算資遣費 平均工資=45000 到職日=2015/03/01 離職日=2026/10/31",
+    "",
+    "可選參數：",
+    "• 工資=45000,45000,46000,45000,48000,45000（不知道平均工資時，填前 6 個月工資由舊到新）",
+    "• 舊制年資=3年6個月（2005/07/01 前的舊制年資；不填依到職日自動判斷）",
+    "• 已預告=是（公司有依規定提前預告，就不列預告工資）",
+    "• 預告天數=10（公司只預告了幾天）",
+    "",
+    "計算規則：",
+    "• 新制：每滿 1 年 0.5 個月平均工資，最高 6 個月",
+    "• 舊制：每滿 1 年 1 個月平均工資，未滿 1 個月以 1 個月計",
+    "• 預告：滿 3 個月 10 天、滿 1 年 20 天、滿 3 年 30 天",
+    "• 謀職假：預告期間每星期 2 日，不滿一星期依比例計（以小時計，無條件捨去）",
+  ].join("\n");
+}
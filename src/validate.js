@@ -0,0 +1,369 @@
+// src/validate.js
+// 負責：知識資料檔（laws.json / 各法規條文檔 / faqs.json / minimumWage.json）的結構檢查。
+// 每個 validate 函式回傳 { errors, warnings }：errors 代表資料不可用，warnings 只提醒。
+
+// 非空字串
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+// 正整數
+function isPositiveInt(v) {
+  return Number.isInteger(v) && v > 0;
+}
+
+// YYYY-MM-DD 日期
+function isIsoDate(v) {
+  return (
+    typeof v === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(v) &&
+    !Number.isNaN(Date.parse(v))
+  );
+}
+
+// meta 區塊：至少要有版本與更新日期，方便追查目前載入哪一版
+function checkMeta(meta, result) {
+  if (!meta || typeof meta !== "object") {
+    result.warnings.push("缺少 meta 區塊");
+    return;
+  }
+  if (!isNonEmptyString(meta.version)) {
+    result.warnings.push("meta.version 未設定");
+  }
+  if (!isNonEmptyString(meta.updated)) {
+    result.warnings.push("meta.updated 未設定");
+  }
+}
+
+// 關鍵字陣列：必須是陣列，且每個都是非空字串
+function checkKeywords(keywords, where, result, { required }) {
+  if (!Array.isArray(keywords) || keywords.length === 0) {
+    (required ? result.errors : result.warnings).push(
+      `${where}：keywords 為空`
+    );
+    return;
+  }
+  keywords.forEach((kw, i) => {
+    if (!isNonEmptyString(kw)) {
+      result.errors.push(`${where}：keywords[${i}] 不是有效字串`);
+    }
+  });
+}
+
+// 條文原文（scripts/importLaws.js 匯入）：text、paragraphs、amended 都是選填
+function checkOfficialText(art, label, result) {
+  if (art.text !== undefined && !isNonEmptyString(art.text)) {
+    result.errors.push(`${label}：text 必須是非空字串`);
+  }
+  if (art.paragraphs !== undefined) {
+    const ok =
+      Array.isArray(art.paragraphs) &&
+      art.paragraphs.every(
+        (p) =>
+          p &&
+          typeof p.text === "string" &&
+          Array.isArray(p.items) &&
+          p.items.every((item) => typeof item === "string")
+      );
+    if (!ok) {
+      result.errors.push(`${label}：paragraphs 必須是 [{ text, items: [] }]`);
+    }
+  }
+  if (art.amended !== undefined && !isIsoDate(art.amended)) {
+    result.errors.push(`${label}：amended 必須是 YYYY-MM-DD 日期`);
+  }
+}
+
+// 修法歷程：versions 由舊到新，舊版要有 to 與內容，最後一版是現行條文（沒有 to）
+function checkVersions(art, label, result) {
+  if (art.versions === undefined) return;
+  if (!Array.isArray(art.versions) || art.versions.length === 0) {
+    result.errors.push(`${label}：versions 必須是非空陣列`);
+    return;
+  }
+
+  art.versions.forEach((v, i) => {
+    const where = `${label} versions[${i}]`;
+    const current = i === art.versions.length - 1;
+    if (!v || typeof v !== "object" || !isIsoDate(v.from)) {
+      result.errors.push(`${where}：from 必須是 YYYY-MM-DD 日期`);
+      return;
+    }
+    if (current && v.to) {
+      result.errors.push(`${where}：最後一版是現行條文，不能有 to`);
+    }
+    if (!current) {
+      if (!isIsoDate(v.to) || v.to < v.from) {
+        result.errors.push(`${where}：to 必須是不早於 from 的 YYYY-MM-DD 日期`);
+      }
+      if (!isNonEmptyString(v.summary) && !isNonEmptyString(v.text)) {
+        result.errors.push(`${where}：舊版本需要 summary 或 text`);
+      }
+    }
+    const prev = art.versions[i - 1];
+    if (prev?.to && v.from <= prev.to) {
+      result.errors.push(`${where}：施行期間與前一版重疊`);
+    }
+  });
+}
+
+// 法規清單 laws.json
+export function validateLawsData(data) {
+  const result = { errors: [], warnings: [] };
+
+  if (!data || typeof data !== "object") {
+    result.errors.push("內容不是 JSON 物件");
+    return result;
+  }
+  checkMeta(data.meta, result);
+
+  if (!Array.isArray(data.laws) || data.laws.length === 0) {
+    result.errors.push("缺少 laws 陣列");
+    return result;
+  }
+
+  const seenIds = new Set();
+  const seenNames = new Map(); // 名稱／簡稱 → 法規 id，避免兩部法規搶同一個簡稱
+  data.laws.forEach((law, i) => {
+    const where = `laws[${i}]`;
+    if (!law || typeof law !== "object") {
+      result.errors.push(`${where}：不是物件`);
+      return;
+    }
+    if (!isNonEmptyString(law.id) || !/^[a-z][a-z0-9-]*$/.test(law.id)) {
+      result.errors.push(`${where}：id 必須是小寫英數字（目前為 ${law.id}）`);
+      return;
+    }
+    const label = `法規「${law.id}」`;
+    if (seenIds.has(law.id)) {
+      result.errors.push(`${label}：id 重複`);
+    }
+    seenIds.add(law.id);
+
+    if (!isNonEmptyString(law.name)) {
+      result.errors.push(`${label}：缺少 name`);
+    }
+    if (!isNonEmptyString(law.pcode) || !/^[A-Z]\d{7}$/.test(law.pcode)) {
+      result.errors.push(`${label}：pcode 格式不對（例：N0030001）`);
+    }
+    if (!isNonEmptyString(law.file) || !law.file.endsWith(".json")) {
+      result.errors.push(`${label}：file 必須是 .json 檔名`);
+    }
+    if (law.lastArticle !== undefined && !isPositiveInt(law.lastArticle)) {
+      result.errors.push(`${label}：lastArticle 必須是正整數`);
+    }
+    if (law.aliases !== undefined && !Array.isArray(law.aliases)) {
+      result.errors.push(`${label}：aliases 必須是陣列`);
+      return;
+    }
+    for (const name of [law.name, law.short, ...(law.aliases || [])]) {
+      if (!isNonEmptyString(name)) continue;
+      const owner = seenNames.get(name);
+      if (owner && owner !== law.id) {
+        result.errors.push(`${label}：名稱「${name}」和法規「${owner}」重複`);
+      }
+      seenNames.set(name, law.id);
+    }
+  });
+
+  const defaults = data.laws.filter((law) => law && law.default);
+  if (defaults.length !== 1) {
+    result.errors.push(
+      `必須剛好有一部 default 法規（目前 ${defaults.length} 部）`
+    );
+  }
+
+  return result;
+}
+
+// 條文摘要檔（articles.json 等）；law 為 laws.json 中對應的法規，用來核對 meta
+export function validateArticlesData(data, { law } = {}) {
+  const result = { errors: [], warnings: [] };
+
+  if (!data || typeof data !== "object") {
+    result.errors.push("內容不是 JSON 物件");
+    return result;
+  }
+  checkMeta(data.meta, result);
+  if (law && data.meta) {
+    if (data.meta.law && data.meta.law !== law.name) {
+      result.warnings.push(
+        `meta.law「${data.meta.law}」與法規清單的「${law.name}」不同`
+      );
+    }
+    if (data.meta.pcode && data.meta.pcode !== law.pcode) {
+      result.errors.push(
+        `meta.pcode ${data.meta.pcode} 與法規清單的 ${law.pcode} 不同`
+      );
+    }
+  }
+
+  if (!Array.isArray(data.articles)) {
+    result.errors.push("缺少 articles 陣列");
+    return result;
+  }
+
+  const seen = new Set();
+  data.articles.forEach((art, i) => {
+    const where = `articles[${i}]`;
+    if (!art || typeof art !== "object") {
+      result.errors.push(`${where}：不是物件`);
+      return;
+    }
+    if (!isPositiveInt(art.no)) {
+      result.errors.push(`${where}：no 必須是正整數（目前為 ${art.no}）`);
+      return;
+    }
+    if (art.sub !== undefined && !isPositiveInt(art.sub)) {
+      result.errors.push(`${where}：sub 必須是正整數（目前為 ${art.sub}）`);
+      return;
+    }
+
+    const id = art.sub ? `${art.no}-${art.sub}` : String(art.no);
+    const label = `第${id}條`;
+    if (seen.has(id)) {
+      result.errors.push(`${label}：條號重複`);
+    }
+    seen.add(id);
+    if (law?.lastArticle && art.no > law.lastArticle) {
+      result.errors.push(
+        `${label}：超出${law.name}的條號範圍（最後一條是第${law.lastArticle}條）`
+      );
+    }
+
+    if (!isNonEmptyString(art.title)) {
+      result.errors.push(`${label}：缺少 title`);
+    }
+    // 匯入的原文條文（只有原文、還沒寫摘要）不提醒 summary / keywords
+    const hasText = isNonEmptyString(art.text);
+    if (!isNonEmptyString(art.summary) && !hasText) {
+      result.warnings.push(`${label}：缺少 summary`);
+    }
+    if (!hasText || art.keywords !== undefined) {
+      checkKeywords(art.keywords, label, result, { required: false });
+    }
+    checkOfficialText(art, label, result);
+    checkVersions(art, label, result);
+  });
+
+  return result;
+}
+
+// FAQ 題庫 faqs.json
+// resolveArticle(id)：articles 欄位的條號是否存在於條文資料（找不到回傳 falsy）
+export function validateFaqsData(data, { resolveArticle } = {}) {
+  const result = { errors: [], warnings: [] };
+
+  if (!data || typeof data !== "object") {
+    result.errors.push("內容不是 JSON 物件");
+    return result;
+  }
+  checkMeta(data.meta, result);
+
+  if (!Array.isArray(data.faqs)) {
+    result.errors.push("缺少 faqs 陣列");
+    return result;
+  }
+
+  const seen = new Set();
+  data.faqs.forEach((faq, i) => {
+    if (!faq || typeof faq !== "object") {
+      result.errors.push(`faqs[${i}]：不是物件`);
+      return;
+    }
+    if (!isNonEmptyString(faq.id)) {
+      result.errors.push(`faqs[${i}]：缺少 id`);
+      return;
+    }
+
+    const label = `FAQ「${faq.id}」`;
+    if (seen.has(faq.id)) {
+      result.errors.push(`${label}：id 重複`);
+    }
+    seen.add(faq.id);
+
+    checkKeywords(faq.keywords, label, result, { required: true });
+    if (!isNonEmptyString(faq.question)) {
+      result.errors.push(`${label}：缺少 question`);
+    }
+    const answerOk = Array.isArray(faq.answer)
+      ? faq.answer.every((line) => typeof line === "string")
+      : isNonEmptyString(faq.answer);
+    if (!answerOk) {
+      result.errors.push(`${label}：answer 必須是字串或字串陣列`);
+    }
+
+    if (!Array.isArray(faq.articles)) {
+      result.errors.push(`${label}：articles 必須是陣列`);
+      return;
+    }
+    faq.articles.forEach((ref) => {
+      if (!isNonEmptyString(ref)) {
+        result.errors.push(`${label}：articles 含有空白條號`);
+        return;
+      }
+      if (resolveArticle && !resolveArticle(ref)) {
+        result.errors.push(`${label}：引用的條文不存在（${ref}）`);
+      }
+    });
+  });
+
+  return result;
+}
+
+// 最低工資表 minimumWage.json
+export function validateMinimumWageData(data) {
+  const result = { errors: [], warnings: [] };
+
+  if (!data || typeof data !== "object") {
+    result.errors.push("內容不是 JSON 物件");
+    return result;
+  }
+  checkMeta(data.meta, result);
+
+  if (!Array.isArray(data.rates) || data.rates.length === 0) {
+    result.errors.push("缺少 rates 陣列");
+    return result;
+  }
+
+  const seen = new Set();
+  data.rates.forEach((rate, i) => {
+    const where = `rates[${i}]`;
+    if (!rate || typeof rate !== "object") {
+      result.errors.push(`${where}：不是物件`);
+      return;
+    }
+    if (
+      !isNonEmptyString(rate.since) ||
+      !/^\d{4}-\d{2}-\d{2}$/.test(rate.since) ||
+      Number.isNaN(Date.parse(rate.since))
+    ) {
+      result.errors.push(`${where}：since 必須是 YYYY-MM-DD 日期`);
+      return;
+    }
+    if (seen.has(rate.since)) {
+      result.errors.push(`${where}：生效日 ${rate.since} 重複`);
+    }
+    seen.add(rate.since);
+    if (!isPositiveInt(rate.monthly)) {
+      result.errors.push(`${where}：monthly 必須是正整數`);
+    }
+    if (!isPositiveInt(rate.hourly)) {
+      result.errors.push(`${where}：hourly 必須是正整數`);
+    }
+  });
+
+  return result;
+}
+
+// 印出 warnings；有 errors 就直接丟錯，讓問題在啟動時就被看見
+export function assertValid(label, { errors, warnings }) {
+  for (const w of warnings) console.warn(`[WARN] ${label}：${w}`);
+  if (errors.length > 0) {
+    const detail = errors.map((e) => `  • ${e}`).join("\n");
+    console.error(
+      `[ERROR] ${label} 驗證失敗（${errors.length} 項）：\n${detail}`
+    );
+    throw new Error(`${label} 驗證失敗：${errors[0]}`);
+  }
+}